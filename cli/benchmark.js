@@ -0,0 +1,518 @@
+#!/usr/bin/env node
+// ---------- Headless benchmark runner ----------
+// Drives the runner page (benchmark.html) in a locally installed Chromium, the same way
+// the dashboard's embedded mode does, and writes the run in the dashboard's
+// export format (JSON or CSV) so it can be imported there.
+//
+//   npm run bench -- --sites sites.txt --trials 3 --computer lab-07 --out run.json
+//   npm run bench -- --fixtures --format csv
+//   npm run bench -- --sites sites.txt --budgets budgets.txt --junit budgets.xml
+//
+// With --budgets the exit code gates a build: 0 when every budget passed,
+// 2 when any was broken, 1 when the run itself could not be done.
+//
+// Run with --help for every option. Chromium is not downloaded: point
+// --chrome (or CHROME_PATH) at an installed Chrome/Chromium.
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import puppeteer from "puppeteer-core";
+import { createServer as createViteServer } from "vite";
+
+import { createFixtureServer } from "../fixtures/server.js";
+import { throughputMiddleware } from "../fixtures/throughput.js";
+import { buildReportHTML } from "../src/report.js";
+import { budgetJUnit, budgetSummary, describeBudget, describeCheck, evaluateBudgets, parseBudgets } from "../src/budgets.js";
+import { DEFAULT_CPU_WORKLOADS } from "../src/cpuWorkloads.js";
+import { captureEnvironment } from "../src/environment.js";
+import { runsToCSVRows } from "../src/exportFormat.js";
+import { toCSV } from "../src/files.js";
+import { fixtureSites } from "../src/fixtures.js";
+import { RUNNER_SILENCE_MS, createNonce, validateMessage } from "../src/protocol.js";
+import { randomSeed, selectSites } from "../src/random.js";
+import { failedResult, isFailed } from "../src/resultStatus.js";
+import { runnerUrl } from "../src/runner.js";
+import { createScheduler, describeStrategy, normalizeStrategy } from "../src/scheduler.js";
+import { parseSiteGroupsFile, parseSiteLines, siteSettingsFor } from "../src/siteGroups.js";
+import { BUILTIN_PROFILES, averageScore, parseProfilesFile, scoreResult } from "../src/scoring.js";
+import { STATISTICS, resolveSiteResult } from "../src/stats.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const USAGE = `Usage: npm run bench -- [options]
+
+Sites (at least one of):
+  --sites <file>          One site per line, with optional label/timeout/threshold
+                          settings as in the dashboard's site groups; or a site
+                          groups export (.json) together with --group
+  --group <name>          Group to use from a site groups export
+  --site <url>            A site; repeatable
+  --fixtures              The local fixture pages (starts the fixture server)
+
+Run:
+  --computer <name>       Computer name stored on the run (default: host name)
+  --trials <n>            Trials per site (default 1)
+  --warmup <n>            Warm-up trials per site, discarded (default 0)
+  --statistic <id>        ${STATISTICS.map((s) => s.id).join(" | ")} (default median)
+  --workloads <ids>       Comma-separated CPU workloads (default all)
+  --sample <n> --seed <s> Pick n sites with a seeded shuffle instead of all
+  --strategy <id>         sequential | concurrent | staggered (default sequential)
+  --concurrency <n>       Sites at a time for "concurrent" (default 2)
+  --delay <ms>            Start interval for "staggered" (default 2000)
+  --cooldown <ms>         Pause after each site (default 500)
+  --throughput <url>      Also measure download speed, jitter and loss against a
+                          throughput endpoint (/__throughput: the runner's own)
+  --upload                Measure upload speed too (with --throughput)
+  --profile <id>          Scoring profile (default "default")
+  --profiles <file>       Profiles exported from the dashboard, to pick --profile from
+
+Output:
+  --out <file>            Output file (default: stdout)
+  --format json|csv       Default: from the --out extension, else json
+  --report <file>         Also write the self-contained HTML report
+
+Budgets:
+  --budgets <file>        Performance budgets, one per line (as in the dashboard);
+                          exit code 2 when any is broken
+  --junit <file>          Write the budget verdict as JUnit XML
+  --summary <file>        Write the budget verdict as a JSON summary
+
+Browser:
+  --chrome <path>         Chrome/Chromium executable (or CHROME_PATH)
+  --isolated              Serve the runner cross-origin isolated (precise memory)
+  --headful               Show the browser window
+`;
+
+// ---------- Options ----------
+function fail(message) {
+  console.error(`benchmark: ${message}`);
+  process.exit(1);
+}
+
+function intOption(value, name, min, fallback) {
+  if (value === undefined) return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min) fail(`--${name} must be an integer ≥ ${min}`);
+  return n;
+}
+
+function readOptions() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      options: {
+        sites: { type: "string" },
+        group: { type: "string" },
+        site: { type: "string", multiple: true },
+        fixtures: { type: "boolean" },
+        computer: { type: "string" },
+        trials: { type: "string" },
+        warmup: { type: "string" },
+        statistic: { type: "string" },
+        workloads: { type: "string" },
+        sample: { type: "string" },
+        seed: { type: "string" },
+        strategy: { type: "string" },
+        concurrency: { type: "string" },
+        delay: { type: "string" },
+        cooldown: { type: "string" },
+        throughput: { type: "string" },
+        upload: { type: "boolean" },
+        profile: { type: "string" },
+        profiles: { type: "string" },
+        out: { type: "string" },
+        format: { type: "string" },
+        report: { type: "string" },
+        budgets: { type: "string" },
+        junit: { type: "string" },
+        summary: { type: "string" },
+        chrome: { type: "string" },
+        isolated: { type: "boolean" },
+        headful: { type: "boolean" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (e) {
+    fail(`${e.message}\n\n${USAGE}`);
+  }
+  const v = parsed.values;
+  if (v.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const { sites, siteGroup } = readSites(v);
+  if (!sites.length && !v.fixtures) fail(`no sites given\n\n${USAGE}`);
+
+  const statistic = v.statistic || "median";
+  if (!STATISTICS.some((s) => s.id === statistic)) fail(`unknown --statistic ${statistic}`);
+
+  const workloads = v.workloads ? v.workloads.split(",").filter(Boolean) : DEFAULT_CPU_WORKLOADS;
+  const unknown = workloads.filter((id) => !DEFAULT_CPU_WORKLOADS.includes(id));
+  if (unknown.length || !workloads.length) fail(`unknown --workloads ${unknown.join(",") || "(none)"}`);
+
+  const mode = v.strategy || "sequential";
+  if (!["sequential", "concurrent", "staggered"].includes(mode)) fail(`unknown --strategy ${mode}`);
+  const strategy = normalizeStrategy({
+    mode,
+    concurrency: intOption(v.concurrency, "concurrency", 1, 2),
+    delayMs: intOption(v.delay, "delay", 0, 2000),
+    cooldownMs: intOption(v.cooldown, "cooldown", 0, 500),
+  });
+
+  let profiles = BUILTIN_PROFILES;
+  if (v.profiles) {
+    try {
+      profiles = [...parseProfilesFile(fs.readFileSync(v.profiles, "utf8")), ...BUILTIN_PROFILES];
+    } catch (e) {
+      fail(`--profiles: ${e.message}`);
+    }
+  }
+  const profile = profiles.find((p) => p.id === (v.profile || "default"));
+  if (!profile) fail(`unknown --profile ${v.profile} (have: ${profiles.map((p) => p.id).join(", ")})`);
+
+  const format = v.format || (v.out && path.extname(v.out).toLowerCase() === ".csv" ? "csv" : "json");
+  if (!["json", "csv"].includes(format)) fail(`unknown --format ${format}`);
+
+  let budgets = [];
+  if (v.budgets) {
+    const parsed = parseBudgets(fs.readFileSync(v.budgets, "utf8"));
+    if (parsed.errors.length) {
+      fail(`--budgets:\n${parsed.errors.map((e) => `  line ${e.line}: ${e.message}`).join("\n")}`);
+    }
+    budgets = parsed.budgets;
+  }
+  if ((v.junit || v.summary) && !budgets.length) fail("--junit and --summary need --budgets");
+  if (v.upload && v.throughput === undefined) fail("--upload needs --throughput");
+
+  const chrome = v.chrome || process.env.CHROME_PATH || findChrome();
+  if (!chrome) fail("no Chrome/Chromium found; pass --chrome <path> or set CHROME_PATH");
+
+  return {
+    sites,
+    siteGroup,
+    fixtures: !!v.fixtures,
+    computer: v.computer || os.hostname(),
+    trials: intOption(v.trials, "trials", 1, 1),
+    warmup: intOption(v.warmup, "warmup", 0, 0),
+    statistic,
+    workloads,
+    sample: v.sample === undefined ? null : intOption(v.sample, "sample", 1, 1),
+    seed: v.seed || null,
+    strategy,
+    throughput: v.throughput === undefined ? null : { endpoint: v.throughput, upload: !!v.upload },
+    profile,
+    out: v.out || null,
+    format,
+    report: v.report || null,
+    budgets,
+    junit: v.junit || null,
+    summary: v.summary || null,
+    chrome,
+    isolated: !!v.isolated,
+    headful: !!v.headful,
+  };
+}
+
+// Sites from --site and --sites, validated like the dashboard's site groups
+function readSites(v) {
+  const sources = [];
+  let siteGroup = null;
+  if (v.site?.length) sources.push({ name: "--site", text: v.site.join("\n") });
+  if (v.sites) {
+    const text = fs.readFileSync(v.sites, "utf8");
+    if (/^\s*[[{]/.test(text)) {
+      let groups;
+      try {
+        groups = parseSiteGroupsFile(text);
+      } catch (e) {
+        fail(`--sites: ${e.message}`);
+      }
+      const group = v.group ? groups.find((g) => g.name === v.group) : groups.length === 1 ? groups[0] : null;
+      if (!group) {
+        fail(`--sites: ${v.group ? `no group "${v.group}"` : "pick a group with --group"} (have: ${groups.map((g) => g.name).join(", ")})`);
+      }
+      siteGroup = group.name;
+      sources.push({ name: `group "${group.name}"`, text: group.text });
+    } else {
+      if (v.group) fail("--group needs a site groups export (.json) in --sites");
+      sources.push({ name: v.sites, text });
+    }
+  }
+
+  const sites = [];
+  const seen = new Set();
+  for (const { name, text } of sources) {
+    const parsed = parseSiteLines(text);
+    if (parsed.errors.length) {
+      fail(`${name}:\n${parsed.errors.map((e) => `  line ${e.line}: ${e.message}`).join("\n")}`);
+    }
+    for (const site of parsed.sites) {
+      if (seen.has(site.url)) fail(`${site.url} is listed twice`);
+      seen.add(site.url);
+      sites.push(site);
+    }
+  }
+  return { sites, siteGroup };
+}
+
+function findChrome() {
+  const candidates = [
+    "/usr/bin/chromium",
+    "/usr/bin/chromium-browser",
+    "/usr/bin/google-chrome",
+    "/usr/bin/google-chrome-stable",
+    "/Applications/Google Chrome.app/Contents/MacOS/Google Chrome",
+    "/Applications/Chromium.app/Contents/MacOS/Chromium",
+    "C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe",
+  ];
+  return candidates.find((p) => fs.existsSync(p)) || null;
+}
+
+// ---------- Runner host ----------
+// Serves the runner page through Vite (it imports the metric registry from
+// src/) plus a host page that embeds one runner frame per site and relays
+// their messages to Node. Messages are validated here with the dashboard's
+// own protocol checks. The frames get the dashboard's sandbox, which keeps
+// allow-same-origin for the same reasons and is no security boundary either
+// (see openFrame in src/runner.js).
+const HOST_PAGE = `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Benchmark CLI host</title></head><body>
+<script>
+  window.addEventListener("message", (event) => {
+    const frame = [...document.querySelectorAll("iframe[data-index]")].find((f) => f.contentWindow === event.source);
+    window.__relay({ origin: event.origin, data: event.data, sender: frame ? Number(frame.dataset.index) : null });
+  });
+  window.__openRunner = (url, index) => {
+    const frame = document.createElement("iframe");
+    frame.src = url;
+    frame.dataset.index = String(index);
+    frame.setAttribute("sandbox", "allow-scripts allow-same-origin");
+    frame.style.cssText = "width: 1024px; height: 768px; border: 0";
+    document.body.appendChild(frame);
+  };
+  window.__closeRunner = (index) => document.querySelector('iframe[data-index="' + index + '"]')?.remove();
+</script>
+</body></html>`;
+
+async function createRunnerServer(isolated) {
+  const headers = isolated
+    ? { "Cross-Origin-Opener-Policy": "same-origin", "Cross-Origin-Embedder-Policy": "credentialless" }
+    : {};
+  // Only the runner page is served: it has no dependencies to pre-bundle,
+  // nothing is watched or reloaded
+  const vite = await createViteServer({
+    root: ROOT,
+    configFile: false,
+    logLevel: "warn",
+    appType: "mpa",
+    optimizeDeps: { noDiscovery: true },
+    server: { middlewareMode: true, hmr: false, ws: false, watch: null },
+  });
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname === "/__throughput") return throughputMiddleware(req, res);
+    if (pathname === "/__host.html") {
+      res.writeHead(200, { ...headers, "Content-Type": "text/html; charset=utf-8" });
+      return res.end(HOST_PAGE);
+    }
+    for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+    vite.middlewares(req, res, () => {
+      res.writeHead(404);
+      res.end("Not found");
+    });
+  });
+  server.on("close", () => vite.close());
+  return server;
+}
+
+function listen(server) {
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(0, "localhost", () => resolve(`http://localhost:${server.address().port}`));
+  });
+}
+
+// ---------- Run ----------
+async function run(opts) {
+  const servers = [];
+  let browser = null;
+  try {
+    const runnerServer = await createRunnerServer(opts.isolated);
+    servers.push(runnerServer);
+    const origin = await listen(runnerServer);
+
+    let sites = opts.sites;
+    if (opts.fixtures) {
+      const fixtureServer = createFixtureServer();
+      servers.push(fixtureServer);
+      sites = [...sites, ...fixtureSites(await listen(fixtureServer)).map((url) => ({ url }))];
+    }
+    const urls = sites.map((s) => s.url);
+    const seed = opts.sample ? opts.seed || randomSeed() : null;
+    const selected = opts.sample ? selectSites(urls, { mode: "sample", sampleSize: opts.sample, seed }) : urls;
+    const siteSettings = siteSettingsFor(sites.filter((s) => selected.includes(s.url)));
+
+    browser = await puppeteer.launch({
+      executablePath: opts.chrome,
+      headless: !opts.headful,
+      args: ["--no-first-run", "--no-default-browser-check", "--enable-precise-memory-info"],
+    });
+    const page = await browser.newPage();
+
+    const runId = Date.now();
+    const nonce = createNonce();
+    const results = new Map();
+    const active = new Set();
+    const lastSeen = new Map();
+    let finishRun;
+    const allDone = new Promise((resolve) => (finishRun = resolve));
+
+    function record(index, result) {
+      if (results.has(index)) return;
+      results.set(index, { ...result, index });
+      active.delete(index);
+      page.evaluate((i) => window.__closeRunner(i), index).catch(() => {});
+      scheduler.finished(index);
+      const r = results.get(index);
+      const note = isFailed(r) ? `${r.status}: ${r.statusDetail || ""}` : `${r.status}, load ${Math.round(r.loadTime)} ms`;
+      console.error(`[${results.size}/${selected.length}] ${r.site} — ${note}`);
+      if (results.size === selected.length) finishRun();
+    }
+    function recordFailure(index, status, statusDetail) {
+      record(index, failedResult({
+        index,
+        site: selected[index],
+        status,
+        statusDetail,
+        trials: opts.trials,
+        warmup: opts.warmup,
+        workloads: opts.workloads,
+      }));
+    }
+
+    await page.exposeFunction("__relay", ({ origin: from, data, sender }) => {
+      const check = validateMessage(
+        { origin: from, data, source: sender },
+        { origin, runId, nonce, isRunner: (s) => (s !== null && active.has(s) ? s : undefined) }
+      );
+      if (!check.ok) {
+        console.error(`dropped message: ${check.reason}`);
+        return;
+      }
+      const msg = check.message;
+      lastSeen.set(msg.index, Date.now());
+      if (msg.type === "error") recordFailure(msg.index, "runner-error", `The runner failed: ${msg.message}`);
+      if (msg.type === "result") record(msg.index, msg.result);
+    });
+    await page.goto(`${origin}/__host.html`);
+    // Same snapshot the dashboard takes, from inside the headless browser
+    const environment = await page.evaluate(captureEnvironment).catch(() => null);
+
+    const scheduler = createScheduler(opts.strategy, selected.length, (index) => {
+      active.add(index);
+      lastSeen.set(index, Date.now());
+      const options = {
+        trials: opts.trials,
+        warmup: opts.warmup,
+        workloads: opts.workloads.join(","),
+      };
+      const timeout = siteSettings[selected[index]]?.timeoutMs;
+      if (timeout) options.timeout = timeout;
+      if (opts.throughput) {
+        options.throughput = opts.throughput.endpoint;
+        if (opts.throughput.upload) options.upload = 1;
+      }
+      const url = runnerUrl(selected[index], runId, index, options, nonce);
+      page.evaluate((u, i) => window.__openRunner(u, i), `${origin}${url}`, index).catch((e) =>
+        recordFailure(index, "runner-error", `Could not open the runner: ${e.message}`)
+      );
+    });
+    const watchdog = setInterval(() => {
+      for (const index of active) {
+        if (Date.now() - lastSeen.get(index) > RUNNER_SILENCE_MS) {
+          recordFailure(index, "timeout", `The runner sent nothing for ${RUNNER_SILENCE_MS / 1000} s.`);
+        }
+      }
+    }, 1000);
+
+    console.error(
+      `Benchmarking ${selected.length} site(s) on "${opts.computer}" · ${describeStrategy(opts.strategy)} · ${opts.trials} trial(s)`
+    );
+    if (selected.length) {
+      scheduler.start();
+      await allDone;
+    }
+    clearInterval(watchdog);
+    scheduler.stop();
+
+    const sorted = [...results.values()].sort((a, b) => a.index - b.index);
+    return {
+      id: runId,
+      at: new Date(runId).toLocaleString(),
+      computer: opts.computer,
+      trials: opts.trials,
+      warmup: opts.warmup,
+      statistic: opts.statistic,
+      workloads: opts.workloads,
+      strategy: opts.strategy,
+      throughput: opts.throughput,
+      seed,
+      selectionMode: opts.sample ? "sample" : "all",
+      sampleSize: selected.length,
+      ...(opts.siteGroup && { siteGroup: opts.siteGroup }),
+      siteSettings,
+      environment,
+      profile: opts.profile,
+      finalScore: averageScore(sorted.map((r) => resolveSiteResult(r, opts.statistic)), opts.profile),
+      results: sorted,
+      source: "cli",
+    };
+  } finally {
+    if (browser) await browser.close().catch(() => {});
+    for (const server of servers) {
+      server.closeAllConnections?.();
+      server.close();
+    }
+  }
+}
+
+function serialize(run, format) {
+  if (format === "json") return `${JSON.stringify(run, null, 2)}\n`;
+  const siteScore = (r, x) => scoreResult(resolveSiteResult(x, r.statistic), r.profile) ?? "";
+  return `${toCSV(runsToCSVRows([run], siteScore))}\n`;
+}
+
+async function main() {
+  const opts = readOptions();
+  const runRecord = await run(opts);
+  const output = serialize(runRecord, opts.format);
+  if (opts.out) fs.writeFileSync(opts.out, output);
+  else process.stdout.write(output);
+
+  const failed = runRecord.results.filter(isFailed).length;
+  console.error(
+    `Final score ${runRecord.finalScore}${failed ? ` (${failed} failed site(s) not scored)` : ""}` +
+      (opts.out ? ` · written to ${opts.out}` : "")
+  );
+
+  const report = opts.budgets.length ? evaluateBudgets(runRecord, opts.budgets, opts.profile) : null;
+  if (opts.report) {
+    fs.writeFileSync(opts.report, buildReportHTML(runRecord, { profile: opts.profile, budgetReport: report }));
+  }
+
+  if (!report) return;
+  if (opts.junit) fs.writeFileSync(opts.junit, budgetJUnit(runRecord, report));
+  if (opts.summary) fs.writeFileSync(opts.summary, `${JSON.stringify(budgetSummary(runRecord, report, opts.profile), null, 2)}\n`);
+  console.error(
+    `Budgets: ${report.passed ? "PASS" : "FAIL"} (${report.failures.length} of ${report.checks.length} checks broken` +
+      `${report.skipped.length ? `, ${report.skipped.length} skipped` : ""})`
+  );
+  for (const c of report.failures) console.error(`  ✗ ${describeBudget(c.budget)} — ${describeCheck(c)}`);
+  if (!report.passed) process.exitCode = 2;
+}
+
+main().catch((e) => fail(e.stack || e.message));
@@ -0,0 +1,238 @@
+// ---------- Local fixture server ----------
+// Synthetic, deterministic test pages so the benchmark can run offline and
+// exercise every failure path. No dependencies: `npm run fixtures`.
+//
+//   /page?size=KB&assets=N&delay=MS&assetDelay=MS&redirects=N&frame=allow|deny|sameorigin|csp
+//       HTML of about `size` KB referencing N assets, answered after `delay` ms
+//       (per hop), reached through `redirects` 302 hops, with the chosen
+//       framing policy.
+//   /asset/<n>.<css|js|svg>?size=KB&delay=MS
+//       One sub-resource of that size.
+//   /throughput?bytes=N (GET) or POST
+//       Payloads for the runner's throughput stage (fixtures/throughput.js);
+//       add delay=MS to simulate a slow link's latency.
+//   /dns-query?delay=MS&fail=N
+//       A stand-in DNS-over-HTTPS resolver for the resolver diagnostics:
+//       JSON API (?name=&type=) and RFC 8484 (GET ?dns= or POST). Every name
+//       resolves to 127.0.0.1; every Nth query answers SERVFAIL (1 = all).
+//   /   Lists the routes.
+//
+// Every response allows CORS, exposes the framing headers (so the runner's
+// preflight can detect a refusal) and sends Timing-Allow-Origin (so the
+// Resource Timing breakdown is not hidden). Set FIXTURE_PORT / FIXTURE_HOST
+// to move it; UNREACHABLE_PORT (src/fixtures.js) stays closed for the
+// network-error fixture. Other tools (the CLI runner) can start it
+// in-process with createFixtureServer().
+import http from "node:http";
+import { pathToFileURL } from "node:url";
+import { UNREACHABLE_PORT } from "../src/fixtures.js";
+import { throughputResponse } from "./throughput.js";
+
+const PORT = Number(process.env.FIXTURE_PORT || 5174);
+const HOST = process.env.FIXTURE_HOST || "localhost";
+const MAX_SIZE_KB = 10 * 1024;
+const MAX_ASSETS = 200;
+const MAX_REDIRECTS = 20;
+const MAX_DELAY_MS = 120000;
+
+const COMMON_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Expose-Headers": "X-Frame-Options, Content-Security-Policy",
+  "Timing-Allow-Origin": "*",
+  "Cross-Origin-Resource-Policy": "cross-origin",
+  "Cache-Control": "no-store",
+};
+
+// "allow" says so explicitly: absent headers look the same as unexposed ones
+// to the runner, which would report the page as unverified
+const FRAME_POLICIES = {
+  allow: { "Content-Security-Policy": "frame-ancestors *" },
+  deny: { "X-Frame-Options": "DENY" },
+  sameorigin: { "X-Frame-Options": "SAMEORIGIN" },
+  csp: { "Content-Security-Policy": "frame-ancestors 'none'" },
+};
+
+function clampInt(value, min, max, fallback) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+// Deterministic filler text: the same size always gives the same bytes.
+const WORDS = "lorem ipsum dolor sit amet consectetur adipiscing elit sed do eiusmod tempor incididunt ut labore et dolore magna aliqua".split(" ");
+function filler(bytes) {
+  let out = "";
+  let i = 0;
+  while (out.length < bytes) {
+    out += `<p>${Array.from({ length: 12 }, (_, k) => WORDS[(i * 7 + k * 3) % WORDS.length]).join(" ")}.</p>\n`;
+    i++;
+  }
+  return out.slice(0, bytes);
+}
+
+function assetBody(ext, bytes) {
+  const pad = "x".repeat(Math.max(0, bytes - 64));
+  if (ext === "css") return `/* fixture */ .fixture-${bytes} { color: #333; } /*${pad}*/\n`;
+  if (ext === "js") return `// fixture\nwindow.__fixtureAssets = (window.__fixtureAssets || 0) + 1; /*${pad}*/\n`;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="8" height="8"><!--${pad}--></svg>\n`;
+}
+
+const ASSET_TYPES = {
+  css: "text/css; charset=utf-8",
+  js: "text/javascript; charset=utf-8",
+  svg: "image/svg+xml",
+};
+
+function pageBody(query) {
+  const sizeKb = clampInt(query.get("size"), 1, MAX_SIZE_KB, 50);
+  const assets = clampInt(query.get("assets"), 0, MAX_ASSETS, 5);
+  const assetDelay = clampInt(query.get("assetDelay"), 0, MAX_DELAY_MS, 0);
+  const tags = [];
+  for (let i = 0; i < assets; i++) {
+    const ext = ["css", "js", "svg"][i % 3];
+    const src = `/asset/${i}.${ext}?size=${Math.max(1, Math.round(sizeKb / 10))}&delay=${assetDelay}`;
+    if (ext === "css") tags.push(`<link rel="stylesheet" href="${src}">`);
+    else if (ext === "js") tags.push(`<script src="${src}"></script>`);
+    else tags.push(`<img src="${src}" alt="">`);
+  }
+  const head = `<!DOCTYPE html>\n<html><head><meta charset="utf-8"><title>Fixture ${sizeKb} KB</title>\n${tags.join("\n")}\n</head><body>\n<h1>Fixture page</h1>\n`;
+  const tail = "\n</body></html>\n";
+  return head + filler(Math.max(0, sizeKb * 1024 - head.length - tail.length)) + tail;
+}
+
+function index() {
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Benchmark fixtures</title></head><body>
+<h1>Benchmark fixture server</h1>
+<ul>
+<li><a href="/page?size=10&assets=2">/page?size=10&amp;assets=2</a> small page</li>
+<li><a href="/page?size=500&assets=20&delay=100">/page?size=500&amp;assets=20&amp;delay=100</a> heavy page</li>
+<li><a href="/page?redirects=3">/page?redirects=3</a> three redirects</li>
+<li><a href="/page?frame=deny">/page?frame=deny</a> refuses framing (also sameorigin, csp)</li>
+<li><a href="/page?delay=20000">/page?delay=20000</a> slower than the runner's 15 s limit</li>
+<li><a href="/throughput?bytes=1048576">/throughput?bytes=1048576</a> 1 MB throughput payload (POST to upload)</li>
+<li><a href="/dns-query?name=example.com&type=A">/dns-query?name=example.com&amp;type=A</a> stand-in DoH resolver (add delay, fail=N)</li>
+</ul></body></html>\n`;
+}
+
+// ---------- Stand-in DoH resolver ----------
+let dnsQueries = 0;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+// Answer to a wire-format query: the question echoed, plus one A record
+function dnsMessageAnswer(query, servfail) {
+  if (query.length < 12) throw new Error("DNS query too short");
+  let end = 12;
+  while (end < query.length && query[end] !== 0) end += query[end] + 1;
+  const question = query.subarray(12, end + 5);
+  const header = Buffer.from([query[0], query[1], 0x81, servfail ? 0x82 : 0x80, 0, 1, 0, servfail ? 0 : 1, 0, 0, 0, 0]);
+  const answer = servfail ? Buffer.alloc(0) : Buffer.from([0xc0, 12, 0, 1, 0, 1, 0, 0, 0, 60, 0, 4, 127, 0, 0, 1]);
+  return Buffer.concat([header, question, answer]);
+}
+
+async function dnsQuery(url, req) {
+  const q = url.searchParams;
+  const failEvery = clampInt(q.get("fail"), 0, 1000, 0);
+  const servfail = failEvery > 0 && ++dnsQueries % failEvery === 0;
+  if (req.method === "POST" || q.has("dns")) {
+    const query = req.method === "POST" ? await readBody(req) : Buffer.from(q.get("dns"), "base64url");
+    return { status: 200, headers: { "Content-Type": "application/dns-message" }, body: dnsMessageAnswer(query, servfail) };
+  }
+  const name = q.get("name");
+  if (!name) return { status: 400, headers: { "Content-Type": "text/plain" }, body: "Missing name or dns parameter\n" };
+  const question = [{ name, type: 1 }];
+  const body = servfail
+    ? { Status: 2, Question: question }
+    : { Status: 0, Question: question, Answer: [{ name, type: 1, TTL: 60, data: "127.0.0.1" }] };
+  return { status: 200, headers: { "Content-Type": "application/dns-json" }, body: JSON.stringify(body) };
+}
+
+// ---------- Routes ----------
+// Each handler returns { status, headers, body } (or a promise of it).
+const routes = [
+  {
+    match: (path) => path === "/",
+    handle: () => ({ status: 200, headers: { "Content-Type": "text/html; charset=utf-8" }, body: index() }),
+  },
+  {
+    match: (path) => path === "/page",
+    handle: (url) => {
+      const q = url.searchParams;
+      const redirects = clampInt(q.get("redirects"), 0, MAX_REDIRECTS, 0);
+      if (redirects > 0) {
+        const next = new URLSearchParams(q);
+        next.set("redirects", String(redirects - 1));
+        return { status: 302, headers: { Location: `/page?${next}` }, body: "" };
+      }
+      const frame = FRAME_POLICIES[q.get("frame") || "allow"] || {};
+      return {
+        status: 200,
+        headers: { "Content-Type": "text/html; charset=utf-8", ...frame },
+        body: pageBody(q),
+      };
+    },
+  },
+  {
+    match: (path) => /^\/asset\/\d+\.(css|js|svg)$/.test(path),
+    handle: (url) => {
+      const ext = url.pathname.split(".").pop();
+      const bytes = clampInt(url.searchParams.get("size"), 1, MAX_SIZE_KB, 5) * 1024;
+      return { status: 200, headers: { "Content-Type": ASSET_TYPES[ext] }, body: assetBody(ext, bytes) };
+    },
+  },
+  {
+    match: (path) => path === "/throughput",
+    handle: throughputResponse,
+  },
+  {
+    match: (path) => path === "/dns-query",
+    handle: dnsQuery,
+  },
+];
+
+async function handleRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || HOST}`);
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, { ...COMMON_HEADERS, "Access-Control-Allow-Methods": "GET, HEAD, POST, OPTIONS", "Access-Control-Allow-Headers": "*" });
+    return res.end();
+  }
+  const route = routes.find((r) => r.match(url.pathname));
+  if (!route) {
+    res.writeHead(404, { ...COMMON_HEADERS, "Content-Type": "text/plain" });
+    return res.end("Not found\n");
+  }
+
+  // Server think time applies to redirects and sub-resources too
+  const delay = clampInt(url.searchParams.get("delay"), 0, MAX_DELAY_MS, 0);
+  if (delay) await new Promise((resolve) => setTimeout(resolve, delay));
+  if (res.destroyed) return;
+
+  try {
+    const { status, headers, body } = await route.handle(url, req);
+    res.writeHead(status, { ...COMMON_HEADERS, "Content-Length": Buffer.byteLength(body), ...headers });
+    res.end(req.method === "HEAD" ? undefined : body);
+  } catch (e) {
+    res.writeHead(500, { ...COMMON_HEADERS, "Content-Type": "text/plain" });
+    res.end(`Fixture error: ${e.message}\n`);
+  }
+}
+
+export function createFixtureServer() {
+  return http.createServer(handleRequest);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  if (PORT === UNREACHABLE_PORT) {
+    console.error(`Port ${PORT} is reserved for the unreachable fixture; pick another FIXTURE_PORT.`);
+    process.exit(1);
+  }
+  createFixtureServer().listen(PORT, HOST, () => {
+    console.log(`Benchmark fixtures on http://${HOST}:${PORT}/`);
+  });
+}
@@ -0,0 +1,79 @@
+// ---------- Throughput endpoint ----------
+// Serves the runner's throughput stage (src/metrics/downloadMbps.js):
+//   GET  <path>?bytes=N   N bytes of incompressible filler (0 = latency ping)
+//   POST <path>           reads and discards the body, answers { "bytes": N }
+// Mounted at /__throughput by the Vite dev/preview server and the CLI's
+// runner server, and at /throughput by the fixture server, so the stage can
+// measure the link to whichever machine serves it.
+
+export const MAX_THROUGHPUT_BYTES = 32 * 1024 * 1024;
+
+const HEADERS = {
+  "Cache-Control": "no-store",
+  "Timing-Allow-Origin": "*",
+  "Access-Control-Allow-Origin": "*",
+  "Cross-Origin-Resource-Policy": "cross-origin",
+};
+
+// Built on first use: xorshift noise, so compression can't shrink it
+let filler = null;
+function payload(bytes) {
+  if (!bytes) return Buffer.alloc(0); // pings shouldn't wait for the filler
+  if (!filler) {
+    filler = Buffer.alloc(MAX_THROUGHPUT_BYTES);
+    let x = 0x9e3779b9;
+    for (let i = 0; i < filler.length; i += 4) {
+      x ^= x << 13;
+      x ^= x >>> 17;
+      x ^= x << 5;
+      filler.writeInt32LE(x | 0, i);
+    }
+  }
+  return filler.subarray(0, bytes);
+}
+
+function discardBody(req) {
+  return new Promise((resolve, reject) => {
+    let bytes = 0;
+    req.on("data", (chunk) => {
+      bytes += chunk.length;
+      if (bytes > MAX_THROUGHPUT_BYTES) req.destroy(new Error("upload too large"));
+    });
+    req.on("end", () => resolve(bytes));
+    req.on("error", reject);
+  });
+}
+
+// Returns { status, headers, body } like the fixture server's route handlers
+export async function throughputResponse(url, req) {
+  if (req.method === "POST") {
+    const bytes = await discardBody(req);
+    return { status: 200, headers: { ...HEADERS, "Content-Type": "application/json" }, body: JSON.stringify({ bytes }) };
+  }
+  const bytes = Number(url.searchParams.get("bytes") ?? 0);
+  if (!Number.isInteger(bytes) || bytes < 0 || bytes > MAX_THROUGHPUT_BYTES) {
+    return {
+      status: 400,
+      headers: { ...HEADERS, "Content-Type": "text/plain" },
+      body: `bytes must be an integer from 0 to ${MAX_THROUGHPUT_BYTES}\n`,
+    };
+  }
+  return { status: 200, headers: { ...HEADERS, "Content-Type": "application/octet-stream" }, body: payload(bytes) };
+}
+
+// Connect-style middleware for Vite and plain node:http servers
+export function throughputMiddleware(req, res, next) {
+  const url = new URL(req.url, "http://localhost");
+  if (url.pathname !== "/__throughput") return next?.();
+  throughputResponse(url, req).then(
+    ({ status, headers, body }) => {
+      res.writeHead(status, { ...headers, "Content-Length": Buffer.byteLength(body) });
+      res.end(req.method === "HEAD" ? undefined : body);
+    },
+    (e) => {
+      if (res.headersSent || res.destroyed) return;
+      res.writeHead(500, { ...HEADERS, "Content-Type": "text/plain" });
+      res.end(`Throughput error: ${e.message}\n`);
+    }
+  );
+}
@@ -0,0 +1,112 @@
+// Dedicated worker for the runner's CPU stage.
+// Message in:  { workload, scale }   (scale shrinks the work, used by the parallel test)
+// Message out: { workload, ms, checksum } or { workload, error }
+// Every workload returns a checksum that is posted back, so the JIT cannot
+// discard the work as dead code.
+
+// Deterministic LCG so every machine does exactly the same work
+function lcg(seed) {
+  let s = seed >>> 0;
+  return () => (s = (Math.imul(s, 1664525) + 1013904223) >>> 0) / 4294967296;
+}
+
+const workloads = {
+  ping() {
+    return 0;
+  },
+
+  // FNV-1a over 4 MB of pseudo-random bytes, 8 passes
+  hash(scale) {
+    const rand = lcg(1);
+    const bytes = new Uint8Array(4 * 1024 * 1024);
+    for (let i = 0; i < bytes.length; i++) bytes[i] = (rand() * 256) | 0;
+    let h = 0x811c9dc5;
+    const passes = Math.max(1, Math.round(8 * scale));
+    for (let p = 0; p < passes; p++) {
+      for (let i = 0; i < bytes.length; i++) {
+        h ^= bytes[i];
+        h = Math.imul(h, 0x01000193);
+      }
+    }
+    return h >>> 0;
+  },
+
+  // Stringify + parse a 10k-entry array of small objects, 5 rounds
+  json(scale) {
+    const data = Array.from({ length: Math.round(10000 * scale) }, (_, i) => ({
+      id: i,
+      name: `item-${i}`,
+      tags: ["alpha", "beta", i % 7],
+      nested: { x: i * 1.5, ok: i % 2 === 0 },
+    }));
+    let total = 0;
+    for (let round = 0; round < 5; round++) {
+      const text = JSON.stringify(data);
+      total += JSON.parse(text).length + text.length;
+    }
+    return total;
+  },
+
+  // Email / date / URL extraction over ~20k synthetic log lines
+  regex(scale) {
+    const rand = lcg(2);
+    const lines = [];
+    for (let i = 0; i < Math.round(20000 * scale); i++) {
+      const n = (rand() * 1e6) | 0;
+      lines.push(`user${n}@example${n % 13}.com 2024-0${(n % 9) + 1}-1${n % 10} GET /api/v1/items/${n}?q=${n.toString(36)}`);
+    }
+    const text = lines.join("\n");
+    const patterns = [
+      /[\w.+-]+@[\w-]+\.[a-z]{2,}/g,
+      /\d{4}-\d{2}-\d{2}/g,
+      /\/api\/v\d\/\w+\/(\d+)\?q=([a-z0-9]+)/g,
+    ];
+    let matches = 0;
+    for (let round = 0; round < 3; round++) {
+      for (const re of patterns) matches += (text.match(re) || []).length;
+    }
+    return matches;
+  },
+
+  // Comparator sort of 150k doubles plus a native typed-array sort
+  sort(scale) {
+    const rand = lcg(3);
+    const n = Math.round(150000 * scale);
+    const arr = Array.from({ length: n }, rand);
+    arr.sort((a, b) => a - b);
+    const typed = Float64Array.from({ length: n }, rand);
+    typed.sort();
+    return arr[n >> 1] + typed[n >> 1];
+  },
+
+  // Dense 200×200 matrix multiply on Float64Arrays, 3 rounds
+  typedArray(scale) {
+    const size = Math.max(16, Math.round(200 * Math.cbrt(scale)));
+    const rand = lcg(4);
+    const a = Float64Array.from({ length: size * size }, rand);
+    const b = Float64Array.from({ length: size * size }, rand);
+    const c = new Float64Array(size * size);
+    for (let round = 0; round < 3; round++) {
+      for (let i = 0; i < size; i++) {
+        for (let k = 0; k < size; k++) {
+          const aik = a[i * size + k];
+          for (let j = 0; j < size; j++) c[i * size + j] += aik * b[k * size + j];
+        }
+      }
+    }
+    return c[0] + c[c.length - 1];
+  },
+};
+
+self.onmessage = (event) => {
+  const { workload, scale = 1 } = event.data || {};
+  const fn = workloads[workload];
+  if (!fn) {
+    self.postMessage({ workload, error: `Unknown workload: ${workload}` });
+    return;
+  }
+  const t0 = performance.now();
+  const checksum = fn(scale);
+  const ms = performance.now() - t0;
+  self.postMessage({ workload, ms, checksum });
+};
@@ -9,17 +9,206 @@ import {
   CartesianGrid,
   ResponsiveContainer,
 } from "recharts";
+import { RUNNER_MODES, openRunner, runnerModeFor, runnerUrl } from "./runner";
+import { STATISTICS, resolveSiteResult } from "./stats";
+import { CPU_WORKLOADS, DEFAULT_CPU_WORKLOADS } from "./cpuWorkloads";
+import { METRICS, formatMetric, metricByKey, metricHeading, tableMetrics } from "./metrics";
+import {
+  BUILTIN_PROFILES,
+  SCORED_METRICS,
+  describeThreshold,
+  averageScore as averageProfileScore,
+  describeProfile,
+  scoreResult,
+  thresholdWarnings,
+  validateProfile,
+} from "./scoring";
+import { download, readTextFile, toCSV } from "./files";
+import { mergeImported, parseImport, runsToCSVRows } from "./exportFormat";
+import {
+  RETENTION_MODES,
+  applyRetention,
+  deleteRun,
+  loadRunPage,
+  loadRunSummaries,
+  loadRuns,
+  migrateLegacyHistory,
+  saveRun,
+  withResults,
+} from "./historyDb";
+import ScoringProfiles from "./components/ScoringProfiles";
+import ComparisonView from "./components/ComparisonView";
+import RunnerDiagnostics from "./components/RunnerDiagnostics";
+import SiteProgress from "./components/SiteProgress";
+import RunQueue from "./components/RunQueue";
+import BudgetEditor from "./components/BudgetEditor";
+import ResolverDiagnostics from "./components/ResolverDiagnostics";
+import SiteGroups from "./components/SiteGroups";
+import BudgetReport from "./components/BudgetReport";
+import { evaluateBudgets, parseBudgets } from "./budgets";
+import { buildReportHTML } from "./report";
+import {
+  DEFAULT_RESOLVER_TEXT,
+  DEFAULT_SAMPLES,
+  parseResolverLines,
+  resolverHostnames,
+  runResolverDiagnostics,
+} from "./resolvers";
+import {
+  ENVIRONMENT_DIMENSIONS,
+  captureEnvironment,
+  describeEnvironment,
+  environmentDetails,
+  environmentKey,
+} from "./environment";
+import { fixtureSites } from "./fixtures";
+import { DEFAULT_TIMEOUT_MS, makeGroup, parseSiteLines, siteSettingsFor, siteThresholds } from "./siteGroups";
+import { makeRunSpec, moveInQueue, removeFromQueue } from "./runQueue";
+import {
+  DEFAULT_STRATEGY,
+  EXECUTION_STRATEGIES,
+  createScheduler,
+  describeStrategy,
+  normalizeStrategy,
+} from "./scheduler";
+import { RUNNER_SILENCE_MS, createNonce, describeMessage, validateMessage } from "./protocol";
+import { RESULT_STATUSES, failedResult, isFailed, statusLabel } from "./resultStatus";
+import {
+  DEFAULT_REGRESSION_SETTINGS,
+  REGRESSION_METHODS,
+  detectRegressions,
+  listRegressions,
+} from "./regression";
+import { randomSeed, selectSites } from "./random";
+
+// ---------- Persisted settings ----------
+// Read once, in lazy useState initializers, so the save effects in App only
+// ever write back what was loaded. (Loading in an effect let a save run
+// first under StrictMode's double effect pass and overwrite saved settings
+// with the defaults.)
+function loadSetting(key, fallback, parse = (text) => ({ ...fallback, ...JSON.parse(text) })) {
+  try {
+    const text = localStorage.getItem(key);
+    return text == null ? fallback : parse(text);
+  } catch {
+    return fallback;
+  }
+}
+
+const DEFAULT_SITES = [
+  "https://example.com",
+  "https://wikipedia.org",
+  "https://github.com",
+  "https://nytimes.com",
+  "https://openai.com",
+  "https://cnn.com",
+  "https://bbc.com",
+  "https://mozilla.org",
+  "https://reddit.com",
+  "https://stackoverflow.com",
+];
+
+// { groups, activeId }. The single site list from before groups becomes the
+// first group; its key is removed once the groups have been saved. Groups
+// saved with a blank name (before names were validated) get a placeholder.
+function loadSiteGroups() {
+  const fallback = { groups: [{ id: "public", name: "Public sites", text: DEFAULT_SITES.join("\n") }], activeId: "public" };
+  const saved = loadSetting("benchmark_site_groups_v1", null, JSON.parse);
+  if (saved?.groups?.length) {
+    const groups = saved.groups.map((g) => ({ ...g, name: String(g.name ?? "").trim() || "Unnamed group" }));
+    return { groups, activeId: saved.activeId || groups[0].id };
+  }
+  const legacy = loadSetting("benchmark_sites_v1", null, JSON.parse);
+  if (!Array.isArray(legacy)) return fallback;
+  const migrated = makeGroup("My sites", legacy.join("\n"));
+  return { groups: [migrated], activeId: migrated.id };
+}
+
+// { profiles, activeId }; saved profiles that no longer validate are dropped
+function loadProfiles() {
+  const fallback = { profiles: structuredClone(BUILTIN_PROFILES), activeId: "default" };
+  const saved = loadSetting("benchmark_profiles_v1", null, JSON.parse);
+  const valid = (saved?.profiles || []).flatMap((p) => {
+    try {
+      return [validateProfile(p)];
+    } catch {
+      return [];
+    }
+  });
+  if (!valid.length) return fallback;
+  return { profiles: valid, activeId: valid.some((p) => p.id === saved.activeId) ? saved.activeId : valid[0].id };
+}
 
 export default function App() {
   const [computerName, setComputerName] = useState("");
   const [started, setStarted] = useState(false);
   const [results, setResults] = useState([]);                // current run’s site results
-  const [history, setHistory] = useState([]);                // last 5 runs (persisted)
+  const [history, setHistory] = useState([]);                // all runs without results, newest first (IndexedDB)
+  const [historyPage, setHistoryPage] = useState(0);
+  const [pagedHistory, setPagedHistory] = useState([]);      // the visible page of runs, with results
+  const [historyFilter, setHistoryFilter] = useState({ dimension: "", value: "" }); // environment filter ("" = all)
+  const [chartMetric, setChartMetric] = useState("score"); // per-site chart: "score" or a metric key
+  const [retention, setRetention] = useState(() => loadSetting("benchmark_retention_v1", { mode: "unlimited", value: 50 }));
+  const [storageError, setStorageError] = useState(null);    // last IndexedDB failure, shown in the UI
+  const savedRunRef = useRef(null);                          // results array last written to history
+  // Computer name -> pinned baseline run id
+  const [baselines, setBaselines] = useState(() => loadSetting("benchmark_baselines_v1", {}));
+  const [regressionSettings, setRegressionSettings] = useState(() =>
+    loadSetting("benchmark_regression_v1", DEFAULT_REGRESSION_SETTINGS)
+  );
+  // Performance budgets, one per line (budgets.js)
+  const [budgetText, setBudgetText] = useState(() => loadSetting("benchmark_budgets_v1", "", (text) => text));
+  const [importReport, setImportReport] = useState(null);    // per-file outcome of the last import
+  const importInputRef = useRef(null);
   const [runId, setRunId] = useState(null);                  // current run id
   const expectedCountRef = useRef(0);                        // how many tabs we opened for this run
+  // "popup" | "embedded"
+  const [runnerMode, setRunnerMode] = useState(() =>
+    loadSetting("benchmark_runner_mode_v1", "popup", (mode) => (RUNNER_MODES.some((m) => m.id === mode) ? mode : "popup"))
+  );
+  const runnersRef = useRef(new Map());                      // index -> runner handle for this run
+  const frameHostRef = useRef(null);                         // container for embedded runner frames
+  const nonceRef = useRef("");                               // secret the current run's runners must echo
+  const runSitesRef = useRef([]);                            // index -> site of the current run
+  const runRunnerModeRef = useRef(null);                     // runner mode the current run uses (runnerModeFor)
+  const runOptionsRef = useRef(null);                        // { trials, warmup, statistic, workloads, strategy, throughput } of the current run
+  const lastSeenRef = useRef(new Map());                     // index -> time of the runner's last message
+  const runEnvironmentRef = useRef(null);                    // { runId, snapshot, ready } taken when the current run started
+  const [runnerStatus, setRunnerStatus] = useState({});      // index -> { site, stage, detail, openedAt, stageAt, lastSeen, finishedAt, timeoutMs, error }
+  const [droppedMessages, setDroppedMessages] = useState([]); // newest first, capped
+  const [trialConfig, setTrialConfig] = useState(() =>
+    loadSetting("benchmark_trials_v1", { trials: 1, warmup: 0, statistic: "median" })
+  );
+  // seed "" = new random seed per run
+  const [selection, setSelection] = useState(() =>
+    loadSetting("benchmark_selection_v1", { mode: "sample", sampleSize: 5, seed: "" })
+  );
+  // Enabled workload ids
+  const [cpuWorkloads, setCpuWorkloads] = useState(() =>
+    loadSetting("benchmark_cpu_workloads_v1", DEFAULT_CPU_WORKLOADS, (text) => {
+      const ids = JSON.parse(text).filter((id) => DEFAULT_CPU_WORKLOADS.includes(id));
+      return ids.length ? ids : DEFAULT_CPU_WORKLOADS;
+    })
+  );
+  const [throughput, setThroughput] = useState(() =>
+    loadSetting("benchmark_throughput_v1", { enabled: false, endpoint: "/__throughput", upload: false })
+  );
+  const [runMeta, setRunMeta] = useState(null);              // { seed, selectionMode, sampleSize, siteGroup } of the current run
+  const [activeSpec, setActiveSpec] = useState(null);        // run spec (runQueue.js) of the current run
+  const [queue, setQueue] = useState([]);                    // run specs waiting to start
+  const [cancelled, setCancelled] = useState(false);         // current run was cancelled (not saved)
+  // How sites are started (scheduler.js)
+  const [strategy, setStrategy] = useState(() => loadSetting("benchmark_strategy_v1", DEFAULT_STRATEGY));
+  const schedulerRef = useRef(null);                         // scheduler of the current run
 
-  // DNS “ping” probe results
-  const [dnsProbe, setDnsProbe] = useState(null);            // { cloudflareMs, googleMs, recommended }
+  // DoH resolver diagnostics (resolvers.js)
+  const [resolverSettings, setResolverSettings] = useState(() =>
+    loadSetting("benchmark_resolvers_v1", { text: DEFAULT_RESOLVER_TEXT, samples: DEFAULT_SAMPLES })
+  );
+  const [resolverResult, setResolverResult] = useState(null);     // runResolverDiagnostics() result
+  const [resolverProgress, setResolverProgress] = useState(null); // { done, total } while querying
+  const [resolverError, setResolverError] = useState(null);       // why the last diagnostics run failed
+  const resolverBusyRef = useRef(false);
 
   // ---------- Force dark mode ----------
   useEffect(() => {
@@ -27,87 +216,241 @@ export default function App() {
     return () => document.documentElement.classList.remove("dark");
   }, []);
 
-  // ---------- Sites pool (editable & persisted) ----------
-  const defaultSites = [
-    "https://example.com",
-    "https://wikipedia.org",
-    "https://github.com",
-    "https://nytimes.com",
-    "https://openai.com",
-    "https://cnn.com",
-    "https://bbc.com",
-    "https://mozilla.org",
-    "https://reddit.com",
-    "https://stackoverflow.com",
-  ];
-  const [siteText, setSiteText] = useState(defaultSites.join("\n"));
-
-  const sites = useMemo(
-    () =>
-      siteText
-        .split("\n")
-        .map((s) => s.trim())
-        .filter(Boolean),
-    [siteText]
-  );
-
-  // ---------- Expectation thresholds ----------
-  const expectations = {
-    loadTimeMs: 1000, // 👈 per your request (1s)
-    cpuTimeMs: 800,
-    networkMs: 500,
-    memoryMb: 400,
+  // ---------- Site groups (editable & persisted) ----------
+  const [initialGroups] = useState(loadSiteGroups);
+  const [siteGroups, setSiteGroups] = useState(initialGroups.groups);
+  const [activeGroupId, setActiveGroupId] = useState(initialGroups.activeId);
+  // Always available and read-only, so it can't drift from the fixture server
+  const fixtureGroup = {
+    id: "fixtures",
+    name: "Local fixtures",
+    text: fixtureSites().join("\n"),
+    builtin: true,
+    note: "Synthetic pages from the local fixture server (npm run fixtures), including one for each failure status.",
   };
+  const allSiteGroups = [...siteGroups, fixtureGroup];
+  const activeGroup = allSiteGroups.find((g) => g.id === activeGroupId) || allSiteGroups[0];
+  const parsedSites = useMemo(() => parseSiteLines(activeGroup.text), [activeGroup.text]);
+  const sites = parsedSites.sites.map((s) => s.url);
+
+  // ---------- Scoring profiles (editable & persisted) ----------
+  const [initialProfiles] = useState(loadProfiles);
+  const [profiles, setProfiles] = useState(initialProfiles.profiles);
+  const [activeProfileId, setActiveProfileId] = useState(initialProfiles.activeId);
+  const [historyProfileId, setHistoryProfileId] = useState(""); // "" = score history as recorded
+  const activeProfile = profiles.find((p) => p.id === activeProfileId) || profiles[0];
+  const thresholds = activeProfile.thresholds;
 
   // ---------- Scoring ----------
-  function scoreOne({ loadTime, cpuTime, networkLatency, memoryUsage }) {
-    const raw =
-      1000 -
-      (0.4 * loadTime + 0.3 * cpuTime + 0.2 * networkLatency + 0.1 * memoryUsage);
-    return Math.max(0, Math.round(raw));
+  function scoreOne(r, profile = activeProfile) {
+    return scoreResult(r, profile);
+  }
+  function resolve(r, statistic = trialConfig.statistic) {
+    return resolveSiteResult(r, statistic);
   }
-  function averageScore(items) {
-    if (!items.length) return 0;
-    return Math.round(items.reduce((acc, it) => acc + scoreOne(it), 0) / items.length);
+  function averageScore(items, profile = activeProfile) {
+    return averageProfileScore(items, profile);
+  }
+
+  // Runs remember their profile; runs from before profiles existed used the default one.
+  function historyProfile(run) {
+    if (historyProfileId) return profiles.find((p) => p.id === historyProfileId) || activeProfile;
+    return run.profile || BUILTIN_PROFILES[0];
+  }
+  // A history run's per-site values under its own statistic, scored with the history profile
+  function historySiteValues(run) {
+    const profile = historyProfile(run);
+    return run.results
+      .map((r) => resolve(r, run.statistic ?? "median"))
+      .map((r) => ({ ...r, score: scoreOne(r, profile) }));
+  }
+  function historyScore(run) {
+    if (!historyProfileId) return Math.round(run.finalScore);
+    const statistic = run.statistic ?? "median";
+    return averageScore(run.results.map((r) => resolve(r, statistic)), historyProfile(run));
   }
 
   // ---------- Message listener ----------
+  // Only validated protocol messages (see protocol.js) get through; the rest
+  // are kept for the diagnostics panel.
   useEffect(() => {
     function onMessage(event) {
-      const data = event.data;
-      if (!data || data.type !== "benchmarkResult") return;
-      if (data.runId !== runId) return;
+      const check = validateMessage(event, {
+        origin: window.location.origin,
+        runId,
+        nonce: nonceRef.current,
+        isRunner: (source) => {
+          for (const [index, runner] of runnersRef.current) {
+            if (runner.isSource(source)) return index;
+          }
+          return undefined;
+        },
+      });
+      if (!check.ok) {
+        const entry = { at: Date.now(), origin: event.origin, reason: check.reason, summary: describeMessage(event.data) };
+        setDroppedMessages((prev) => [entry, ...prev].slice(0, 50));
+        return;
+      }
+
+      const data = check.message;
+      lastSeenRef.current.set(data.index, Date.now());
+      const update = (fields) =>
+        setRunnerStatus((prev) => ({
+          ...prev,
+          [data.index]: { ...prev[data.index], ...fields, lastSeen: Date.now() },
+        }));
+      if (data.type === "started") return update({ site: data.site, stage: "started", stageAt: Date.now() });
+      if (data.type === "progress") return update({ stage: data.stage, detail: data.detail, stageAt: Date.now() });
+      if (data.type === "heartbeat") return update({});
+      if (data.type === "error") {
+        update({ error: data.message });
+        return recordFailure(data.index, "runner-error", `The runner failed: ${data.message}`);
+      }
+
+      // "result"
+      update({ stage: "done", finishedAt: Date.now() });
+      const runner = runnersRef.current.get(data.index);
+      if (runner?.mode === "embedded") runner.close();
+      runnersRef.current.delete(data.index);
+      schedulerRef.current?.finished(data.index);
 
       setResults((prev) => {
         if (prev.some((p) => p.index === data.index)) return prev;
-        const next = [...prev, data];
-
-        // When all results are in, write history (cap 5) and maybe run DNS probe
-        if (next.length === expectedCountRef.current) {
-          const finalScore = averageScore(next);
-          const runRecord = {
-            id: runId,
-            at: new Date(runId).toLocaleString(),
-            computer: computerName,
-            finalScore,
-            results: next.sort((a, b) => a.index - b.index),
-          };
-          setHistory((old) => [runRecord, ...old].slice(0, 5));
-
-          // If any load time > 1000 ms, run DNS “ping” probe
-          const anySlow = next.some((r) => r.loadTime > expectations.loadTimeMs);
-          if (anySlow) {
-            runDnsProbe().then(setDnsProbe).catch(() => setDnsProbe(null));
-          } else {
-            setDnsProbe(null);
-          }
-        }
-        return next;
+        return [...prev, { ...data.result, index: data.index }];
       });
     }
     window.addEventListener("message", onMessage);
     return () => window.removeEventListener("message", onMessage);
-  }, [runId, computerName]);
+  }, [runId]);
+
+  // A site that could not be measured: close its runner and record why.
+  function recordFailure(index, status, statusDetail) {
+    runnersRef.current.get(index)?.close();
+    runnersRef.current.delete(index);
+    schedulerRef.current?.finished(index);
+    setRunnerStatus((prev) => ({ ...prev, [index]: { ...prev[index], finishedAt: Date.now() } }));
+    const failed = failedResult({
+      index,
+      site: runSitesRef.current[index],
+      status,
+      statusDetail,
+      ...runOptionsRef.current,
+    });
+    setResults((prev) => (prev.some((p) => p.index === index) ? prev : [...prev, failed]));
+  }
+
+  // ---------- Finish run: save to history, maybe check resolvers ----------
+  // Runs again after a site retry completes the run, updating the saved record.
+  useEffect(() => {
+    if (!started || cancelled || !runId || results.length !== expectedCountRef.current) return;
+    if (savedRunRef.current === results) return;
+    savedRunRef.current = results;
+
+    const runRecord = buildRunRecord();
+    const sorted = runRecord.results;
+    // A fast run can finish before its environment snapshot; the saved
+    // record waits for it
+    const environment = runEnvironmentRef.current?.runId === runId ? runEnvironmentRef.current.ready : null;
+    Promise.resolve(environment).then((snapshot) => persistRun({ ...runRecord, environment: snapshot }));
+
+    // If any load time exceeds the profile's threshold, check the resolvers
+    const anySlow = sorted.some((r) => !isFailed(r) && resolve(r).loadTime > thresholds.loadTime);
+    if (anySlow) runResolvers(sorted.map((r) => r.site), "slow-run");
+    startNextQueued();
+  }, [started, cancelled, runId, results]);
+
+  // The history/export shape of the current run (also used mid-run for exports)
+  function buildRunRecord() {
+    const sorted = results.slice().sort((a, b) => a.index - b.index);
+    const { trials, warmup, statistic, workloads, strategy, throughput } = runOptionsRef.current;
+    return {
+      id: runId,
+      at: new Date(runId).toLocaleString(),
+      computer: computerName,
+      trials,
+      warmup,
+      statistic,
+      workloads,
+      strategy,
+      throughput: throughput ?? null,
+      ...runMeta,
+      siteSettings: activeSpec?.siteSettings ?? {},
+      environment: runEnvironmentRef.current?.runId === runId ? runEnvironmentRef.current.snapshot : null,
+      profile: activeProfile,
+      finalScore: averageScore(sorted.map((r) => resolve(r, statistic))),
+      results: sorted,
+    };
+  }
+
+  // ---------- Import (the app's own JSON / CSV exports) ----------
+  // Accepted runs are saved as-is; retention is not applied so older
+  // imported runs are not dropped straight away.
+  async function importFiles(files) {
+    const reports = [];
+    let knownIds = history.map((h) => h.id);
+    for (const file of files) {
+      try {
+        const { runs, rejected } = parseImport(await readTextFile(file));
+        const { accepted, duplicates } = mergeImported(runs, knownIds, file.name);
+        for (const run of accepted) await saveRun(run);
+        knownIds = [...knownIds, ...accepted.map((run) => run.id)];
+        reports.push({ file: file.name, accepted: accepted.length, duplicates: duplicates.length, rejected });
+      } catch (e) {
+        reports.push({ file: file.name, error: e.message });
+      }
+    }
+    setImportReport(reports);
+    await refreshHistory();
+  }
+
+  // ---------- History storage ----------
+  function reportStorageError(action, e) {
+    console.error(action, e);
+    setStorageError(`${action}: ${e?.message || e}`);
+  }
+  async function refreshHistory() {
+    try {
+      setHistory(await loadRunSummaries());
+    } catch (e) {
+      reportStorageError("Could not load history", e);
+    }
+  }
+  // The run is shown immediately even if writing it fails.
+  async function persistRun(run) {
+    setHistory((old) => [run, ...old.filter((h) => h.id !== run.id)]);
+    try {
+      await saveRun(run);
+      await applyRetention(retention, Object.values(baselines));
+    } catch (e) {
+      reportStorageError("Could not save run to history", e);
+      return;
+    }
+    await refreshHistory();
+  }
+  async function removeRun(id) {
+    try {
+      await deleteRun(id);
+    } catch (e) {
+      reportStorageError("Could not delete run", e);
+      return;
+    }
+    await refreshHistory();
+  }
+  async function changeRetention(next) {
+    setRetention(next);
+    try {
+      await applyRetention(next, Object.values(baselines));
+    } catch (e) {
+      reportStorageError("Could not apply retention policy", e);
+    }
+    await refreshHistory();
+  }
+
+  useEffect(() => {
+    migrateLegacyHistory()
+      .catch((e) => reportStorageError("History migration failed", e))
+      .then(refreshHistory);
+  }, []);
 
   // ---------- Dynamic title ----------
   useEffect(() => {
@@ -122,152 +465,497 @@ export default function App() {
     }
   }, [started, results]);
 
-  // ---------- Persist history & site list ----------
+  // ---------- Persist settings & site list (loaded by loadSetting above) ----------
   useEffect(() => {
     try {
-      const savedHist = localStorage.getItem("benchmark_history_v1");
-      if (savedHist) setHistory(JSON.parse(savedHist));
-      const savedSites = localStorage.getItem("benchmark_sites_v1");
-      if (savedSites) setSiteText(JSON.parse(savedSites).join("\n"));
+      localStorage.setItem("benchmark_retention_v1", JSON.stringify(retention));
     } catch {}
-  }, []);
+  }, [retention]);
+  useEffect(() => {
+    try {
+      localStorage.setItem("benchmark_baselines_v1", JSON.stringify(baselines));
+      localStorage.setItem("benchmark_regression_v1", JSON.stringify(regressionSettings));
+    } catch {}
+  }, [baselines, regressionSettings]);
+  useEffect(() => {
+    try {
+      localStorage.setItem("benchmark_budgets_v1", budgetText);
+    } catch {}
+  }, [budgetText]);
+  useEffect(() => {
+    try {
+      localStorage.setItem("benchmark_resolvers_v1", JSON.stringify(resolverSettings));
+    } catch {}
+  }, [resolverSettings]);
+  useEffect(() => {
+    try {
+      localStorage.setItem(
+        "benchmark_site_groups_v1",
+        JSON.stringify({ groups: siteGroups, activeId: activeGroupId })
+      );
+      localStorage.removeItem("benchmark_sites_v1");
+    } catch {}
+  }, [siteGroups, activeGroupId]);
+  useEffect(() => {
+    try {
+      localStorage.setItem("benchmark_runner_mode_v1", runnerMode);
+    } catch {}
+  }, [runnerMode]);
+  useEffect(() => {
+    try {
+      localStorage.setItem("benchmark_trials_v1", JSON.stringify(trialConfig));
+    } catch {}
+  }, [trialConfig]);
+  useEffect(() => {
+    try {
+      localStorage.setItem("benchmark_selection_v1", JSON.stringify(selection));
+    } catch {}
+  }, [selection]);
+  useEffect(() => {
+    try {
+      localStorage.setItem("benchmark_strategy_v1", JSON.stringify(strategy));
+    } catch {}
+  }, [strategy]);
   useEffect(() => {
     try {
-      localStorage.setItem("benchmark_history_v1", JSON.stringify(history));
+      localStorage.setItem("benchmark_cpu_workloads_v1", JSON.stringify(cpuWorkloads));
     } catch {}
-  }, [history]);
+  }, [cpuWorkloads]);
   useEffect(() => {
     try {
-      localStorage.setItem("benchmark_sites_v1", JSON.stringify(sites));
+      localStorage.setItem("benchmark_throughput_v1", JSON.stringify(throughput));
     } catch {}
-  }, [sites]);
-
-  // ---------- Export helpers ----------
-  function toCSV(rows) {
-    if (!rows?.length) return "";
-    const headers = Object.keys(rows[0]);
-    const escape = (v) => `"${String(v ?? "").replace(/"/g, '""')}"`;
-    const lines = [
-      headers.join(","),
-      ...rows.map((r) => headers.map((h) => escape(r[h])).join(",")),
-    ];
-    return lines.join("\n");
-  }
-  function download(filename, content, mime = "text/plain") {
-    const blob = new Blob([content], { type: mime });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
-  }
-
-  // ---------- DNS “ping” probe (HTTP RTT proxy) ----------
-  async function probeOnce(url) {
-    const t0 = performance.now();
+  }, [throughput]);
+  useEffect(() => {
     try {
-      await fetch(url, { cache: "no-store" });
+      localStorage.setItem(
+        "benchmark_profiles_v1",
+        JSON.stringify({ profiles, activeId: activeProfileId })
+      );
+    } catch {}
+  }, [profiles, activeProfileId]);
+
+  // ---------- Formatting ----------
+  // Timing breakdown fields are missing on older history entries and null when
+  // the browser hid them (cross-origin); show a dash for both.
+  function fmt(v, digits = 2) {
+    return typeof v === "number" && isFinite(v) ? v.toFixed(digits) : "—";
+  }
+  // A site's group label when it has one, with the URL underneath
+  function siteCell(site, settings) {
+    const label = settings?.[site]?.label;
+    if (!label) return site;
+    return (
+      <>
+        <span className="font-medium">{label}</span>
+        <div className="text-xs text-gray-400">{site}</div>
+      </>
+    );
+  }
+  // One metric's cell content: the registry's formatting plus its ≈ / source
+  // notes, or its own text for a value the browser couldn't measure
+  function metricValue(m, r, digits = 2) {
+    const v = r[m.key];
+    if (v == null && m.missing) {
+      return (
+        <span className="text-gray-500" title={m.missing.title}>
+          {m.missing.text}
+        </span>
+      );
+    }
+    const note = v == null ? null : m.annotate?.(r);
+    if (!note) return formatMetric(m, v, digits);
+    return (
+      <span title={note.title}>
+        {note.prefix}
+        {formatMetric(m, v, digits)}
+      </span>
+    );
+  }
+
+  // ---------- DoH resolver diagnostics ----------
+  // One at a time; an automatic trigger while one is running is dropped.
+  async function runResolvers(siteUrls, trigger) {
+    const { resolvers, errors } = parseResolverLines(resolverSettings.text);
+    if (resolverBusyRef.current || errors.length || !resolvers.length) return;
+    resolverBusyRef.current = true;
+    const hostnames = resolverHostnames(siteUrls);
+    setResolverProgress({ done: 0, total: resolverSettings.samples * hostnames.length * resolvers.length });
+    setResolverError(null);
+    try {
+      setResolverResult(
+        await runResolverDiagnostics({
+          resolvers,
+          hostnames,
+          samples: resolverSettings.samples,
+          trigger,
+          onProgress: (done, total) => setResolverProgress({ done, total }),
+        })
+      );
     } catch (e) {
-      // CORS or network errors are okay; we still measured elapsed time
+      console.error("Resolver diagnostics failed", e);
+      setResolverError(e?.message || String(e));
+    } finally {
+      resolverBusyRef.current = false;
+      setResolverProgress(null);
     }
-    return performance.now() - t0;
-  }
-  async function runDnsProbe() {
-    const [cloudflareMs, googleMs] = await Promise.all([
-      probeOnce("https://1.1.1.1/cdn-cgi/trace"),
-      probeOnce("https://dns.google/resolve?name=example.com&type=A"),
-    ]);
-    const recommended =
-      cloudflareMs < googleMs ? "Cloudflare (1.1.1.1)" : "Google (8.8.8.8)";
-    return {
-      cloudflareMs: Math.round(cloudflareMs),
-      googleMs: Math.round(googleMs),
-      recommended,
-    };
   }
 
   // ---------- Run benchmark ----------
+  // "Benchmark" starts a run from the current settings, or queues it behind
+  // the run in progress.
   function runBenchmark() {
     if (!computerName.trim()) {
       alert("Please enter a computer name before running the benchmark.");
       return;
     }
+    if (parsedSites.errors.length) {
+      alert(`Fix the invalid lines in the site group "${activeGroup.name}" first.`);
+      return;
+    }
     if (sites.length < 1) {
-      alert("Add at least one test URL in the Site List.");
+      alert(`Add at least one test URL to the site group "${activeGroup.name}".`);
       return;
     }
 
-    setDnsProbe(null);
+    const seed = selection.seed.trim() || randomSeed();
+    const selected = selectSites(sites, { ...selection, seed });
+    submitRun(
+      makeRunSpec({
+        sites: selected,
+        siteSettings: siteSettingsFor(parsedSites.sites.filter((s) => selected.includes(s.url))),
+        meta: { seed, selectionMode: selection.mode, sampleSize: selected.length, siteGroup: activeGroup.name },
+        options: {
+          trials: trialConfig.trials,
+          warmup: trialConfig.warmup,
+          statistic: trialConfig.statistic,
+          workloads: cpuWorkloads,
+          strategy: normalizeStrategy(strategy),
+          throughput: throughput.enabled && throughput.endpoint.trim()
+            ? { endpoint: throughput.endpoint.trim(), upload: throughput.upload }
+            : null,
+        },
+      })
+    );
+  }
 
-    const shuffled = [...sites].sort(() => 0.5 - Math.random());
-    const selected = shuffled.slice(0, Math.min(5, shuffled.length));
+  function submitRun(spec) {
+    if (running) setQueue((q) => [...q, spec]);
+    else startRun(spec);
+  }
 
+  function startRun(spec) {
     const id = Date.now();
     setRunId(id);
+    setActiveSpec(spec);
+    setCancelled(false);
+    runSitesRef.current = spec.sites;
+    runRunnerModeRef.current = runnerModeFor(runnerMode, spec.sites.length);
+    runOptionsRef.current = spec.options;
+    lastSeenRef.current = new Map();
+    const environment = { runId: id, snapshot: null };
+    environment.ready = captureEnvironment()
+      .catch(() => null)
+      .then((snapshot) => (environment.snapshot = snapshot));
+    runEnvironmentRef.current = environment;
+    setRunMeta(spec.meta);
     setStarted(true);
     setResults([]);
-    expectedCountRef.current = selected.length;
+    setRunnerStatus({});
+    expectedCountRef.current = spec.sites.length;
+    nonceRef.current = createNonce();
 
-    selected.forEach((site, index) => {
-      const url = `/benchmark.html?site=${encodeURIComponent(site)}&runId=${id}&index=${index}`;
-      window.open(url, "_blank", "width=420,height=420");
-    });
+    // Drop any runners left over from a previous run before starting this one
+    schedulerRef.current?.stop();
+    runnersRef.current.forEach((r) => r.close());
+    runnersRef.current = new Map();
+
+    schedulerRef.current = createScheduler(spec.options.strategy, spec.sites.length, (index) =>
+      openSiteRunner(id, spec.sites[index], index, spec.siteSettings[spec.sites[index]])
+    );
+    schedulerRef.current.start();
+  }
+
+  function startNextQueued() {
+    if (!queue.length) return;
+    const [next, ...rest] = queue;
+    setQueue(rest);
+    startRun(next);
+  }
+
+  // Closes every runner window/frame of the current run. Whatever arrived
+  // stays on screen but the run is not saved; queued runs wait for "Start next".
+  function cancelRun() {
+    schedulerRef.current?.stop();
+    runnersRef.current.forEach((r) => r.close());
+    runnersRef.current = new Map();
+    nonceRef.current = "";
+    setCancelled(true);
+  }
+
+  function rerunSameSelection() {
+    submitRun(makeRunSpec(activeSpec));
+  }
+
+  function rerunFailed() {
+    const failed = resultsWithScore.filter(isFailed).map((r) => r.site);
+    if (!failed.length) return;
+    submitRun(
+      makeRunSpec({
+        sites: failed,
+        meta: { selectionMode: "rerun-failed", sampleSize: failed.length, rerunOf: runId, siteGroup: runMeta?.siteGroup },
+        options: activeSpec.options,
+        siteSettings: activeSpec.siteSettings,
+      })
+    );
+  }
+
+  function openSiteRunner(id, site, index, settings) {
+    const { trials, warmup, workloads, throughput } = runOptionsRef.current;
+    const options = { trials, warmup, workloads: workloads.join(",") };
+    if (settings?.timeoutMs) options.timeout = settings.timeoutMs;
+    if (throughput) {
+      options.throughput = throughput.endpoint;
+      if (throughput.upload) options.upload = 1;
+    }
+    const url = runnerUrl(site, id, index, options, nonceRef.current);
+    const runner = openRunner(runRunnerModeRef.current, url, frameHostRef.current);
+    runnersRef.current.set(index, runner);
+    const now = Date.now();
+    lastSeenRef.current.set(index, now);
+    setRunnerStatus((prev) => ({
+      ...prev,
+      [index]: {
+        site,
+        stage: "opening",
+        openedAt: now,
+        stageAt: now,
+        lastSeen: now,
+        timeoutMs: settings?.timeoutMs ?? DEFAULT_TIMEOUT_MS,
+      },
+    }));
+    if (runner.mode === "popup" && !runner.window) {
+      recordFailure(index, "blocked-popup", "window.open() was blocked by the browser.");
+    }
+  }
+
+  // Measure one site of the current run again; the run is re-saved once complete.
+  function retrySite(index) {
+    setResults((prev) => prev.filter((p) => p.index !== index));
+    setRunnerStatus((prev) => ({ ...prev, [index]: { site: runSitesRef.current[index] } }));
+    schedulerRef.current.retry(index);
   }
 
   // ---------- Derived UI helpers ----------
+  const running = started && !cancelled && results.length < expectedCountRef.current;
   const progressPct = expectedCountRef.current
     ? Math.round((results.length / expectedCountRef.current) * 100)
     : 0;
 
+  // Runners whose window was closed or that went silent are recorded as timed out.
+  useEffect(() => {
+    if (!running) return;
+    const timer = setInterval(() => {
+      const now = Date.now();
+      for (const [index, runner] of runnersRef.current) {
+        if (runner.mode === "popup" && runner.window?.closed) {
+          recordFailure(index, "timeout", "The runner window was closed before it reported.");
+        } else if (now - (lastSeenRef.current.get(index) ?? now) > RUNNER_SILENCE_MS) {
+          recordFailure(index, "timeout", `The runner sent nothing for ${RUNNER_SILENCE_MS / 1000} s.`);
+        }
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [running]);
+
   const resultsWithScore = results
     .slice()
     .sort((a, b) => a.index - b.index)
+    .map((r) => resolve(r))
     .map((r) => ({ ...r, score: scoreOne(r) }));
+  const resultMetrics = tableMetrics(resultsWithScore);
+
+  // ---------- Regression check against the computer's pinned baseline ----------
+  function togglePin(run) {
+    setBaselines((old) => {
+      const next = { ...old };
+      if (next[run.computer] === run.id) delete next[run.computer];
+      else next[run.computer] = run.id;
+      return next;
+    });
+  }
+  const baselineId = history.find((h) => h.id === baselines[computerName.trim()] && h.id !== runId)?.id;
+  const [loadedBaseline, setLoadedBaseline] = useState(null); // the baseline run with its results
+  useEffect(() => {
+    if (baselineId == null) return;
+    let stale = false;
+    withResults(history.filter((h) => h.id === baselineId))
+      .then(([run]) => !stale && setLoadedBaseline(run))
+      .catch((e) => reportStorageError("Could not load the baseline run", e));
+    return () => {
+      stale = true;
+    };
+  }, [baselineId]);
+  const baselineRun = loadedBaseline?.id === baselineId ? loadedBaseline : null;
+  // Runs are only compared like-for-like: a baseline run with another strategy is not used.
+  const baselineStrategyMismatch =
+    !!baselineRun &&
+    !!activeSpec &&
+    describeStrategy(baselineRun.strategy) !== describeStrategy(activeSpec.options.strategy);
+  const regressionReport = baselineRun && !baselineStrategyMismatch
+    ? detectRegressions(resultsWithScore, baselineRun, trialConfig.statistic, regressionSettings)
+    : null;
+  const regressions = regressionReport ? listRegressions(regressionReport) : [];
+  // "+12.5%", or "from 0" when the baseline was 0 and has no percentage
+  function changeText(c) {
+    if (c.changePct === null) return "from 0";
+    return `${c.changePct > 0 ? "+" : ""}${c.changePct.toFixed(1)}%`;
+  }
+  function regressionBadge(site, key) {
+    const c = regressionReport?.[site]?.[key];
+    if (!c || (c.verdict !== "regression" && c.verdict !== "improvement")) return null;
+    const worse = c.verdict === "regression";
+    const detail = `${worse ? "Regression" : "Improvement"} vs baseline: ${c.baseline.toFixed(1)} → ${c.current.toFixed(1)} (${changeText(c)}${c.p != null ? `, p=${c.p.toFixed(3)}` : ""})`;
+    return (
+      <span
+        className={`ml-1 text-xs px-1 rounded ${worse ? "bg-red-900/60 text-red-200" : "bg-green-900/60 text-green-200"}`}
+        title={detail}
+      >
+        {worse ? "▲" : "▼"} {c.changePct === null ? "from 0" : `${Math.abs(c.changePct).toFixed(0)}%`}
+      </span>
+    );
+  }
+
+  // ---------- Performance budgets ----------
+  const parsedBudgets = useMemo(() => parseBudgets(budgetText), [budgetText]);
+  const parsedResolvers = useMemo(() => parseResolverLines(resolverSettings.text), [resolverSettings.text]);
+  const budgets = parsedBudgets.budgets;
+  const runComplete = started && !cancelled && results.length > 0 && results.length === expectedCountRef.current;
+  const currentRunRecord = runComplete && budgets.length ? buildRunRecord() : null;
+  const currentBudgetReport = currentRunRecord ? evaluateBudgets(currentRunRecord, budgets, activeProfile) : null;
 
   const summaryChartData = resultsWithScore.map((r, i) => ({
     name: `#${i + 1}`,
     score: r.score,
+    ...Object.fromEntries(resultMetrics.map((m) => [m.key, r[m.key] ?? null])),
   }));
+  // Falls back to the score when the picked metric isn't in this run's table
+  const chartKey = resultMetrics.some((m) => m.key === chartMetric) ? chartMetric : "score";
 
-  const historyChartData = history
+  // History filtered by one environment dimension (environment.js)
+  const historyEnvironmentValues = historyFilter.dimension
+    ? Object.entries(
+        history.reduce((acc, h) => {
+          const key = environmentKey(h.environment, historyFilter.dimension);
+          acc[key] = (acc[key] || 0) + 1;
+          return acc;
+        }, {})
+      ).sort(([a], [b]) => a.localeCompare(b))
+    : [];
+  const filteredHistory =
+    historyFilter.dimension && historyFilter.value
+      ? history.filter((h) => environmentKey(h.environment, historyFilter.dimension) === historyFilter.value)
+      : history;
+
+  const HISTORY_PAGE_SIZE = 10;
+  const historyPageCount = Math.max(1, Math.ceil(filteredHistory.length / HISTORY_PAGE_SIZE));
+  const currentHistoryPage = Math.min(historyPage, historyPageCount - 1);
+  // Only the visible page's results are read from IndexedDB
+  useEffect(() => {
+    let stale = false;
+    const { dimension, value } = historyFilter;
+    loadRunPage({
+      offset: currentHistoryPage * HISTORY_PAGE_SIZE,
+      limit: HISTORY_PAGE_SIZE,
+      match: dimension && value ? (h) => environmentKey(h.environment, dimension) === value : undefined,
+    })
+      .then((runs) => !stale && setPagedHistory(runs))
+      .catch((e) => reportStorageError("Could not load history", e));
+    return () => {
+      stale = true;
+    };
+  }, [history, currentHistoryPage, historyFilter]);
+
+  // Recorded final scores need no results; rescoring with another profile
+  // loads the results of the charted runs.
+  const [rescoredHistory, setRescoredHistory] = useState(null); // { profileId, runs }
+  useEffect(() => {
+    if (!historyProfileId) return;
+    let stale = false;
+    withResults(filteredHistory)
+      .then((runs) => !stale && setRescoredHistory({ profileId: historyProfileId, runs }))
+      .catch((e) => reportStorageError("Could not load history", e));
+    return () => {
+      stale = true;
+    };
+  }, [history, historyProfileId, historyFilter]);
+  const chartedHistory = !historyProfileId
+    ? filteredHistory
+    : rescoredHistory?.profileId === historyProfileId
+    ? rescoredHistory.runs
+    : [];
+  const historyChartData = chartedHistory
     .slice()
     .reverse()
-    .map((h, i) => ({ name: `Run ${history.length - i}`, final: Math.round(h.finalScore) }));
-
-  // CSV rows builders
-  function currentRunCSVRows() {
-    return resultsWithScore.map((r) => ({
-      site: r.site,
-      cpuTime: r.cpuTime?.toFixed?.(2),
-      memoryUsage: r.memoryUsage?.toFixed?.(2),
-      networkLatency: r.networkLatency?.toFixed?.(2),
-      loadTime: r.loadTime?.toFixed?.(2),
-      score: r.score,
-    }));
+    .map((h, i) => ({ name: `Run ${chartedHistory.length - i}`, final: historyScore(h) }));
+
+  // Runs picked for a comparison; a failed read is reported and rethrown so
+  // the comparison shows it instead of waiting
+  function loadHistoryResults(runs) {
+    return withResults(runs).catch((e) => {
+      reportStorageError("Could not load history", e);
+      throw e;
+    });
   }
 
-  function historyCSVRows() {
-    const rows = [];
-    for (const run of history) {
-      for (const r of run.results) {
-        rows.push({
-          runId: run.id,
-          runAt: run.at,
-          computer: run.computer,
-          finalScore: Math.round(run.finalScore),
-          site: r.site,
-          cpuTime: r.cpuTime.toFixed(2),
-          memoryUsage: r.memoryUsage.toFixed(2),
-          networkLatency: r.networkLatency.toFixed(2),
-          loadTime: r.loadTime.toFixed(2),
-          siteScore: scoreOne(r),
-        });
-      }
+  // Exports read every run with its results
+  async function exportHistory(write) {
+    try {
+      write(await loadRuns());
+    } catch (e) {
+      reportStorageError("Could not export history", e);
     }
-    return rows;
+  }
+
+  // CSV export: lossless run/result columns plus a human-readable site score
+  function siteScoreFor(run, r) {
+    return scoreOne(resolve(r, run.statistic ?? "median"), historyProfile(run));
+  }
+
+  // ---------- Shareable HTML report ----------
+  // The current run's report adds the latest resolver diagnostics, which aren't stored with runs.
+  async function downloadReport(run, current = false) {
+    const profile = current ? activeProfile : historyProfile(run);
+    // The report compares with earlier runs of the same computer
+    let earlier;
+    try {
+      earlier = await withResults(history.filter((h) => h.computer === run.computer && h.id < run.id));
+    } catch (e) {
+      reportStorageError("Could not load history for the report", e);
+      return;
+    }
+    const html = buildReportHTML(run, {
+      profile,
+      history: earlier,
+      resolverDiagnostics: current ? resolverResult : null,
+      budgetReport: budgets.length ? evaluateBudgets(run, budgets, profile) : null,
+    });
+    const name = (run.computer || "benchmark").replace(/[^\w.-]+/g, "-");
+    download(`report-${name}-${run.id}.html`, html, "text/html");
+  }
+
+  // Fill the selection controls (and pick the run's site group, if it still
+  // exists) so the next run picks the same sites
+  function replaySelection(meta) {
+    if (!meta?.seed) return;
+    const group = allSiteGroups.find((g) => g.name === meta.siteGroup);
+    if (group) setActiveGroupId(group.id);
+    setSelection((s) => ({
+      ...s,
+      seed: meta.seed,
+      mode: meta.selectionMode ?? "sample",
+      sampleSize: meta.sampleSize ?? s.sampleSize,
+    }));
   }
 
   return (
@@ -277,15 +965,29 @@ export default function App() {
         <div className="text-left">
           <h1 className="text-2xl font-bold text-white">BenchMark</h1>
           <p className="text-sm text-gray-400">
-            Multi-site browser benchmark (tabs). Allow popups for best results.
+            Multi-site browser benchmark (popup windows or embedded frames).
           </p>
         </div>
       </div>
 
-      {/* Warning banner */}
-      <div className="bg-yellow-200/10 border-l-4 border-yellow-400 text-yellow-200 p-3 mb-4 rounded max-w-5xl mx-auto">
-        ⚠️ Benchmark opens multiple popup windows. Please disable your popup blocker for this site.
-      </div>
+      {/* Warning banner (popup mode only) */}
+      {runnerMode === "popup" && (
+        <div className="bg-yellow-200/10 border-l-4 border-yellow-400 text-yellow-200 p-3 mb-4 rounded max-w-5xl mx-auto">
+          ⚠️ Browsers only open a popup window straight from a click, one per click. A single-site run
+          started with <strong>Benchmark</strong> opens a popup (allow popups for this site); runs of
+          more than one site, and queued runs, use <strong>Embedded frames</strong>.
+        </div>
+      )}
+
+      {/* Storage errors (IndexedDB) */}
+      {storageError && (
+        <div className="bg-red-900/30 border-l-4 border-red-500 text-red-200 p-3 mb-4 rounded max-w-5xl mx-auto text-left flex justify-between gap-4">
+          <span>⚠️ {storageError}</span>
+          <button className="text-red-100 hover:underline" onClick={() => setStorageError(null)}>
+            Dismiss
+          </button>
+        </div>
+      )}
 
       {/* Config: Computer name + Site list */}
       <div className="grid md:grid-cols-2 gap-4 max-w-5xl mx-auto text-left">
@@ -298,14 +1000,208 @@ export default function App() {
             value={computerName}
             onChange={(e) => setComputerName(e.target.value)}
           />
-          <button
-            onClick={runBenchmark}
-            className="mt-3 bg-blue-600 hover:bg-blue-700 text-white px-5 py-2 rounded"
-          >
-            Benchmark
-          </button>
+          <fieldset className="mt-3">
+            <legend className="block text-sm font-medium mb-1 text-gray-300">Runner</legend>
+            <div className="flex gap-4 text-sm text-gray-300">
+              {RUNNER_MODES.map((m) => (
+                <label key={m.id} className="flex items-center gap-1">
+                  <input
+                    type="radio"
+                    name="runnerMode"
+                    value={m.id}
+                    checked={runnerMode === m.id}
+                    disabled={running}
+                    onChange={() => setRunnerMode(m.id)}
+                  />
+                  {m.label}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+          <div className="mt-3 grid grid-cols-3 gap-2 text-sm">
+            <label className="text-gray-300">
+              Trials
+              <input
+                type="number"
+                min={1}
+                max={20}
+                className="border border-gray-700 w-full p-1 rounded bg-gray-900 text-gray-100"
+                value={trialConfig.trials}
+                disabled={running}
+                onChange={(e) =>
+                  setTrialConfig((c) => ({ ...c, trials: Math.min(20, Math.max(1, Number(e.target.value) || 1)) }))
+                }
+              />
+            </label>
+            <label className="text-gray-300">
+              Warm-up
+              <input
+                type="number"
+                min={0}
+                max={5}
+                className="border border-gray-700 w-full p-1 rounded bg-gray-900 text-gray-100"
+                value={trialConfig.warmup}
+                disabled={running}
+                onChange={(e) =>
+                  setTrialConfig((c) => ({ ...c, warmup: Math.min(5, Math.max(0, Number(e.target.value) || 0)) }))
+                }
+              />
+            </label>
+            <label className="text-gray-300">
+              Statistic
+              <select
+                className="border border-gray-700 w-full p-1 rounded bg-gray-900 text-gray-100"
+                value={trialConfig.statistic}
+                onChange={(e) => setTrialConfig((c) => ({ ...c, statistic: e.target.value }))}
+              >
+                {STATISTICS.map((st) => (
+                  <option key={st.id} value={st.id}>{st.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <fieldset className="mt-3">
+            <legend className="block text-sm font-medium mb-1 text-gray-300">Execution</legend>
+            <div className="grid grid-cols-3 gap-2 text-sm text-gray-300">
+              <label>
+                Strategy
+                <select
+                  className="border border-gray-700 w-full p-1 rounded bg-gray-900 text-gray-100"
+                  value={strategy.mode}
+                  disabled={running}
+                  onChange={(e) => setStrategy((s) => ({ ...s, mode: e.target.value }))}
+                >
+                  {EXECUTION_STRATEGIES.map((m) => (
+                    <option key={m.id} value={m.id}>{m.label}</option>
+                  ))}
+                </select>
+              </label>
+              {strategy.mode === "concurrent" && (
+                <label>
+                  At most
+                  <input
+                    type="number"
+                    min={1}
+                    max={10}
+                    className="border border-gray-700 w-full p-1 rounded bg-gray-900 text-gray-100"
+                    value={strategy.concurrency}
+                    disabled={running}
+                    onChange={(e) =>
+                      setStrategy((s) => ({ ...s, concurrency: Math.min(10, Math.max(1, Number(e.target.value) || 1)) }))
+                    }
+                  />
+                </label>
+              )}
+              {strategy.mode === "staggered" && (
+                <label>
+                  Start every (ms)
+                  <input
+                    type="number"
+                    min={0}
+                    step={500}
+                    className="border border-gray-700 w-full p-1 rounded bg-gray-900 text-gray-100"
+                    value={strategy.delayMs}
+                    disabled={running}
+                    onChange={(e) => setStrategy((s) => ({ ...s, delayMs: Math.max(0, Number(e.target.value) || 0) }))}
+                  />
+                </label>
+              )}
+              <label>
+                Cooldown (ms)
+                <input
+                  type="number"
+                  min={0}
+                  step={250}
+                  className="border border-gray-700 w-full p-1 rounded bg-gray-900 text-gray-100"
+                  value={strategy.cooldownMs}
+                  disabled={running}
+                  onChange={(e) => setStrategy((s) => ({ ...s, cooldownMs: Math.max(0, Number(e.target.value) || 0) }))}
+                />
+              </label>
+            </div>
+            <p className="text-xs text-gray-400 mt-1">
+              Sites running side by side compete for CPU and network. Runs are only compared with runs
+              that used the same strategy.
+              {runnerMode === "popup" &&
+                " Every strategy opens runners from timers, which browsers don't allow popups from, so runs of more than one site use embedded frames."}
+            </p>
+          </fieldset>
+          <fieldset className="mt-3">
+            <legend className="block text-sm font-medium mb-1 text-gray-300">CPU workloads</legend>
+            <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm text-gray-300">
+              {CPU_WORKLOADS.map((w) => (
+                <label key={w.id} className="flex items-center gap-1" title={w.description}>
+                  <input
+                    type="checkbox"
+                    checked={cpuWorkloads.includes(w.id)}
+                    disabled={running || (cpuWorkloads.length === 1 && cpuWorkloads.includes(w.id))}
+                    onChange={(e) =>
+                      setCpuWorkloads((ids) =>
+                        e.target.checked
+                          ? DEFAULT_CPU_WORKLOADS.filter((id) => id === w.id || ids.includes(id))
+                          : ids.filter((id) => id !== w.id)
+                      )
+                    }
+                  />
+                  {w.label}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+          <fieldset className="mt-3">
+            <legend className="block text-sm font-medium mb-1 text-gray-300">Throughput</legend>
+            <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-sm text-gray-300">
+              <label className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={throughput.enabled}
+                  disabled={running}
+                  onChange={(e) => setThroughput((t) => ({ ...t, enabled: e.target.checked }))}
+                />
+                Measure throughput from
+              </label>
+              <input
+                type="text"
+                className="border border-gray-700 p-1 rounded bg-gray-900 text-gray-100 w-72"
+                aria-label="Throughput endpoint"
+                value={throughput.endpoint}
+                disabled={running || !throughput.enabled}
+                onChange={(e) => setThroughput((t) => ({ ...t, endpoint: e.target.value }))}
+              />
+              <label className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={throughput.upload}
+                  disabled={running || !throughput.enabled}
+                  onChange={(e) => setThroughput((t) => ({ ...t, upload: e.target.checked }))}
+                />
+                Upload too
+              </label>
+            </div>
+            <p className="text-xs text-gray-400 mt-1">
+              <code>/__throughput</code> is served by this dev server; <code>npm run fixtures</code> has one at{" "}
+              <code>http://localhost:5174/throughput</code> (add <code>?delay=MS</code> for a slow link). Point it at
+              a machine across the network to measure the link to it.
+            </p>
+          </fieldset>
+          <div className="mt-3 flex gap-2">
+            <button
+              onClick={runBenchmark}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-5 py-2 rounded"
+            >
+              {running ? "Add to queue" : "Benchmark"}
+            </button>
+            {running && (
+              <button
+                onClick={cancelRun}
+                className="bg-red-700 hover:bg-red-800 text-white px-5 py-2 rounded"
+              >
+                Cancel run
+              </button>
+            )}
+          </div>
 
-          {started && expectedCountRef.current > 0 && results.length < expectedCountRef.current && (
+          {running && expectedCountRef.current > 0 && (
             <div className="mt-4">
               <div className="h-2 bg-gray-700 rounded">
                 <div
@@ -318,39 +1214,161 @@ export default function App() {
                 />
               </div>
               <div className="text-sm text-gray-400 mt-1">{progressPct}%</div>
+              <SiteProgress
+                sites={activeSpec.sites}
+                siteSettings={activeSpec.siteSettings}
+                status={runnerStatus}
+                results={results}
+                canFocus={(index) => runnersRef.current.has(index)}
+                onFocus={(index) => runnersRef.current.get(index)?.focus()}
+              />
             </div>
           )}
+
+          {(running || queue.length > 0) && (
+            <RunQueue
+              active={activeSpec}
+              running={running}
+              queue={queue}
+              onStartNext={startNextQueued}
+              onRemove={(key) => setQueue((q) => removeFromQueue(q, key))}
+              onMove={(key, delta) => setQueue((q) => moveInQueue(q, key, delta))}
+              onClear={() => setQueue([])}
+            />
+          )}
         </div>
 
         <div className="bg-gray-800 rounded shadow p-4">
-          <label className="block text-sm font-medium mb-1 text-gray-300">
-            Site List (one URL per line)
-          </label>
-          <textarea
-            rows={8}
-            className="border border-gray-700 w-full p-2 rounded font-mono text-sm bg-gray-900 text-gray-100"
-            value={siteText}
-            onChange={(e) => setSiteText(e.target.value)}
+          <SiteGroups
+            groups={allSiteGroups}
+            activeId={activeGroup.id}
+            parsed={parsedSites}
+            onGroupsChange={setSiteGroups}
+            onActiveChange={setActiveGroupId}
           />
-          <p className="text-xs text-gray-400 mt-1">
-            We’ll test up to 5 random sites from this list each run.
-          </p>
+          <div className="mt-2 space-y-2 text-sm text-gray-300">
+            <div className="flex flex-wrap items-center gap-4">
+              <label className="flex items-center gap-1">
+                <input
+                  type="radio"
+                  name="selectionMode"
+                  checked={selection.mode === "sample"}
+                  onChange={() => setSelection((s) => ({ ...s, mode: "sample" }))}
+                />
+                Sample
+                <input
+                  type="number"
+                  min={1}
+                  className="border border-gray-700 w-16 p-1 rounded bg-gray-900 text-gray-100"
+                  value={selection.sampleSize}
+                  onChange={(e) =>
+                    setSelection((s) => ({ ...s, sampleSize: Math.max(1, Number(e.target.value) || 1) }))
+                  }
+                />
+                sites
+              </label>
+              <label className="flex items-center gap-1">
+                <input
+                  type="radio"
+                  name="selectionMode"
+                  checked={selection.mode === "all"}
+                  onChange={() => setSelection((s) => ({ ...s, mode: "all" }))}
+                />
+                Every site ({sites.length})
+              </label>
+            </div>
+            {selection.mode === "sample" && (
+              <label className="flex items-center gap-2">
+                Seed
+                <input
+                  type="text"
+                  className="border border-gray-700 flex-1 p-1 rounded font-mono bg-gray-900 text-gray-100"
+                  placeholder="random"
+                  value={selection.seed}
+                  onChange={(e) => setSelection((s) => ({ ...s, seed: e.target.value }))}
+                />
+              </label>
+            )}
+            <p className="text-xs text-gray-400">
+              The same seed, sample size and site list always select the same sites. Leave the seed
+              empty for a fresh one each run.
+            </p>
+          </div>
         </div>
       </div>
 
+      {/* Embedded runner frames (filled by openRunner, hidden while empty). Always
+          mounted: popup-mode runs fall back to frames (runnerModeFor). */}
+      <div
+        ref={frameHostRef}
+        className="max-w-5xl mx-auto mt-4 grid md:grid-cols-3 gap-2 empty:hidden"
+      />
+
+      {(started || droppedMessages.length > 0) && (
+        <RunnerDiagnostics
+          status={runnerStatus}
+          dropped={droppedMessages}
+          onClear={() => setDroppedMessages([])}
+        />
+      )}
+
       {/* Legend */}
       <div className="max-w-5xl mx-auto text-left bg-gray-800 rounded shadow p-4 mt-4">
         <h2 className="text-lg font-semibold mb-2 text-white">Legend & Scoring</h2>
         <ul className="list-disc pl-5 space-y-1 text-sm text-gray-300">
-          <li><strong>Load Time (ms):</strong> Time to fully load the page (measured via iframe <code>onload</code>).</li>
-          <li><strong>CPU (ms):</strong> Time for a synthetic compute loop (lower is better).</li>
-          <li><strong>Network (ms):</strong> HTTP round-trip to the site (no-cors), as a latency proxy.</li>
-          <li><strong>Memory (MB):</strong> JS heap usage (Chrome-only; others may report 0).</li>
-          <li><strong>Score:</strong> Higher is better. <code>1000 - (0.4×Load + 0.3×CPU + 0.2×Network + 0.1×Memory)</code>.</li>
-          <li>Cells highlighted (amber) exceed thresholds (Load &gt; 1000ms, CPU &gt; 800ms, Net &gt; 500ms, Mem &gt; 400MB).</li>
+          {METRICS.filter((m) => m.description).map((m) => (
+            <li key={m.key}>
+              <strong>{metricHeading(m)}:</strong> {m.description}
+            </li>
+          ))}
+          <li>
+            <strong>Failed sites:</strong> shown in red with the reason and left out of every score:{" "}
+            {RESULT_STATUSES.filter((st) => !st.measured).map((st, i) => (
+              <span key={st.id} title={st.description}>
+                {i > 0 && ", "}
+                <em>{st.label}</em>
+              </span>
+            ))}
+            . Use <em>Retry</em> to measure a failed site again.
+          </li>
+          <li>
+            <strong>Framing unverified:</strong> Scored, but marked: {RESULT_STATUSES.find((st) => st.id === "unverified").description}
+          </li>
+          <li><strong>▲ / ▼ badges:</strong> Regression / improvement against the run pinned as this computer’s baseline (hover for values and p-value).</li>
+          <li><strong>Budgets:</strong> Every finished run is checked against the performance budgets below; history runs show whether they would pass today’s budgets. Export the verdict as JUnit XML or a JSON summary for a build pipeline.</li>
+          <li><strong>Environment:</strong> Each run stores a snapshot of the browser, hardware, connection and power state when it started; filter history by it or compare runs grouped by it. Sites whose runner window was hidden during their trials are marked <em>ran in background</em>, since browsers throttle background windows.</li>
+          <li><strong>Trials:</strong> Each site is measured once per trial after the warm-up trials (discarded). Values shown are the selected statistic over the trials; trimmed mean drops outliers beyond 1.5×IQR.</li>
+          <li><strong>Score ({activeProfile.name}):</strong> Higher is better. <code>{describeProfile(activeProfile)}</code>.</li>
+          <li>
+            Cells highlighted (amber) are worse than the thresholds (
+            {SCORED_METRICS.map((m) => describeThreshold(m, thresholds[m.key])).join(", ")}),
+            or the site’s own thresholds from its site group.
+          </li>
         </ul>
       </div>
 
+      <ScoringProfiles
+        profiles={profiles}
+        activeId={activeProfile.id}
+        onProfilesChange={setProfiles}
+        onActiveChange={setActiveProfileId}
+      />
+
+      <BudgetEditor text={budgetText} parsed={parsedBudgets} onChange={setBudgetText} />
+
+      <ResolverDiagnostics
+        text={resolverSettings.text}
+        samples={resolverSettings.samples}
+        parsed={parsedResolvers}
+        hostnames={resolverHostnames(sites)}
+        result={resolverResult}
+        progress={resolverProgress}
+        error={resolverError}
+        onTextChange={(text) => setResolverSettings((old) => ({ ...old, text }))}
+        onSamplesChange={(samples) => setResolverSettings((old) => ({ ...old, samples }))}
+        onRun={() => runResolvers(sites, "manual")}
+      />
+
       {/* Current run results + chart + export */}
       {started && (
         <div className="max-w-5xl mx-auto mt-6">
@@ -358,38 +1376,110 @@ export default function App() {
             <h3 className="text-lg font-semibold mb-3 text-white">
               Current Results {computerName ? `— ${computerName}` : ""}
             </h3>
+            {runMeta && (
+              <p className="text-sm text-gray-400 mb-3">
+                {runMeta.selectionMode === "all" ? (
+                  <>Full suite ({runMeta.sampleSize} sites)</>
+                ) : runMeta.selectionMode === "rerun-failed" ? (
+                  <>Re-run of {runMeta.sampleSize} failed site(s)</>
+                ) : (
+                  <>
+                    {runMeta.sampleSize} sites · seed <span className="font-mono text-gray-200">{runMeta.seed}</span>{" "}
+                    <button
+                      className="text-blue-300 hover:underline"
+                      onClick={() => replaySelection(runMeta)}
+                    >
+                      Replay selection
+                    </button>
+                  </>
+                )}
+                {runMeta.siteGroup && <> · group {runMeta.siteGroup}</>}
+                {activeSpec && <> · {describeStrategy(activeSpec.options.strategy)}</>}
+              </p>
+            )}
+            {cancelled && (
+              <p className="text-sm text-red-300 mb-3">
+                Run cancelled: its runner windows were closed and the partial results below are not saved.
+              </p>
+            )}
+            {!running && activeSpec && (
+              <div className="flex flex-wrap gap-4 text-sm mb-3">
+                <button className="text-blue-300 hover:underline" onClick={rerunSameSelection}>
+                  Re-run same selection
+                </button>
+                {resultsWithScore.some(isFailed) && (
+                  <button className="text-blue-300 hover:underline" onClick={rerunFailed}>
+                    Re-run failed sites only ({resultsWithScore.filter(isFailed).length})
+                  </button>
+                )}
+              </div>
+            )}
             {resultsWithScore.length === 0 ? (
-              <p className="text-gray-400">Waiting for results…</p>
+              <p className="text-gray-400">{cancelled ? "No results arrived before the run was cancelled." : "Waiting for results…"}</p>
             ) : (
               <>
                 <table className="w-full border border-gray-700 text-left text-sm">
                   <thead>
                     <tr className="bg-gray-700">
                       <th className="px-3 py-2 border border-gray-700">Site</th>
-                      <th className="px-3 py-2 border border-gray-700">CPU (ms)</th>
-                      <th className="px-3 py-2 border border-gray-700">Mem (MB)</th>
-                      <th className="px-3 py-2 border border-gray-700">Net (ms)</th>
-                      <th className="px-3 py-2 border border-gray-700">Load (ms)</th>
+                      {resultMetrics.map((m) => (
+                        <th key={m.key} className="px-3 py-2 border border-gray-700">{metricHeading(m)}</th>
+                      ))}
                       <th className="px-3 py-2 border border-gray-700">Score</th>
                     </tr>
                   </thead>
                   <tbody>
                     {resultsWithScore.map((r) => {
-                      const warn = {
-                        cpu: r.cpuTime > expectations.cpuTimeMs,
-                        mem: r.memoryUsage > expectations.memoryMb,
-                        net: r.networkLatency > expectations.networkMs,
-                        load: r.loadTime > expectations.loadTimeMs,
-                      };
-                      const cell = (value, isWarn) =>
-                        <td className={`px-3 py-2 border border-gray-700 ${isWarn ? "bg-yellow-900/40" : ""}`}>{value}</td>;
+                      if (isFailed(r)) {
+                        return (
+                          <tr key={r.index} className="border border-gray-700 bg-red-900/20">
+                            <td className="px-3 py-2 border border-gray-700">{siteCell(r.site, activeSpec?.siteSettings)}</td>
+                            <td
+                              colSpan={resultMetrics.length + 1}
+                              className="px-3 py-2 border border-gray-700 text-red-300"
+                            >
+                              <strong>{statusLabel(r.status)}</strong>
+                              {r.statusDetail && <span className="text-red-200/80"> — {r.statusDetail}</span>}
+                              {!cancelled && (
+                                <button
+                                  className="ml-3 text-blue-300 hover:underline"
+                                  onClick={() => retrySite(r.index)}
+                                >
+                                  Retry
+                                </button>
+                              )}
+                            </td>
+                          </tr>
+                        );
+                      }
+                      const over = thresholdWarnings(r, siteThresholds(thresholds, activeSpec?.siteSettings?.[r.site]));
+                      const cell = (value, isWarn, key) => (
+                        <td className={`px-3 py-2 border border-gray-700 ${isWarn ? "bg-yellow-900/40" : ""}`}>
+                          {value}
+                          {regressionBadge(r.site, key)}
+                        </td>
+                      );
                       return (
                         <tr key={r.index} className="border border-gray-700">
-                          <td className="px-3 py-2 border border-gray-700">{r.site}</td>
-                          {cell(r.cpuTime.toFixed(2), warn.cpu)}
-                          {cell(r.memoryUsage.toFixed(2), warn.mem)}
-                          {cell(r.networkLatency.toFixed(2), warn.net)}
-                          {cell(r.loadTime.toFixed(2), warn.load)}
+                          <td className="px-3 py-2 border border-gray-700">
+                            {siteCell(r.site, activeSpec?.siteSettings)}
+                            {r.environment?.hiddenDuringRun && (
+                              <div
+                                className="text-xs text-yellow-300"
+                                title="The runner window was hidden for part of this site's trials; browsers throttle background windows, so timings may be inflated."
+                              >
+                                ran in background
+                              </div>
+                            )}
+                            {r.status === "unverified" && (
+                              <div className="text-xs text-yellow-300" title={r.statusDetail}>
+                                framing unverified
+                              </div>
+                            )}
+                          </td>
+                          {resultMetrics.map((m) => (
+                            <React.Fragment key={m.key}>{cell(metricValue(m, r), over[m.key], m.key)}</React.Fragment>
+                          ))}
                           <td className="px-3 py-2 border border-gray-700 font-semibold text-green-400">
                             {r.score}
                           </td>
@@ -399,8 +1489,196 @@ export default function App() {
                   </tbody>
                 </table>
 
-                {/* Per-site score chart */}
-                <div className="h-72 mt-6">
+                {/* Regression summary against the pinned baseline */}
+                <div className="mt-4 bg-gray-900 rounded p-3 text-left text-sm">
+                  <div className="flex flex-wrap items-center gap-3 text-gray-300">
+                    <span className="font-semibold text-white">Baseline check</span>
+                    <select
+                      className="border border-gray-700 p-1 rounded bg-gray-800 text-gray-100"
+                      value={regressionSettings.method}
+                      onChange={(e) => setRegressionSettings((st) => ({ ...st, method: e.target.value }))}
+                    >
+                      {REGRESSION_METHODS.map((m) => (
+                        <option key={m.id} value={m.id}>{m.label}</option>
+                      ))}
+                    </select>
+                    <label>
+                      Tolerance{" "}
+                      <input
+                        type="number"
+                        min={0}
+                        className="border border-gray-700 w-16 p-1 rounded bg-gray-800 text-gray-100"
+                        value={regressionSettings.tolerancePct}
+                        onChange={(e) =>
+                          setRegressionSettings((st) => ({ ...st, tolerancePct: Math.max(0, Number(e.target.value) || 0) }))
+                        }
+                      />
+                      %
+                    </label>
+                    {regressionSettings.method === "welch" && (
+                      <label>
+                        α{" "}
+                        <input
+                          type="number"
+                          step="0.01"
+                          min={0.001}
+                          max={0.5}
+                          className="border border-gray-700 w-20 p-1 rounded bg-gray-800 text-gray-100"
+                          value={regressionSettings.alpha}
+                          onChange={(e) =>
+                            setRegressionSettings((st) => ({
+                              ...st,
+                              alpha: Math.min(0.5, Math.max(0.001, Number(e.target.value) || 0.05)),
+                            }))
+                          }
+                        />
+                      </label>
+                    )}
+                  </div>
+                  {!baselineRun ? (
+                    <p className="text-gray-400 mt-2">
+                      No baseline pinned for {computerName.trim() ? <strong>{computerName.trim()}</strong> : "this computer"}.
+                      Use <em>Pin as baseline</em> on a run in the history below.
+                    </p>
+                  ) : baselineStrategyMismatch ? (
+                    <p className="text-yellow-300 mt-2">
+                      Not compared: the baseline from {baselineRun.at} used{" "}
+                      <em>{describeStrategy(baselineRun.strategy)}</em>, this run{" "}
+                      <em>{describeStrategy(activeSpec.options.strategy)}</em>.
+                    </p>
+                  ) : regressions.length === 0 ? (
+                    <p className="text-green-300 mt-2">
+                      No regressions against the baseline from {baselineRun.at}.
+                    </p>
+                  ) : (
+                    <>
+                      <p className="text-red-300 mt-2">
+                        {regressions.length} regression{regressions.length === 1 ? "" : "s"} against the baseline
+                        from {baselineRun.at}:
+                      </p>
+                      <ul className="list-disc pl-5 text-gray-200">
+                        {regressions.map((x) => (
+                          <li key={`${x.site}-${x.key}`}>
+                            {x.site} — {SCORED_METRICS.find((m) => m.key === x.key)?.label}:{" "}
+                            {x.baseline.toFixed(1)} → {x.current.toFixed(1)} ({changeText(x)}
+                            {x.p != null && `, p=${x.p.toFixed(3)}`})
+                          </li>
+                        ))}
+                      </ul>
+                    </>
+                  )}
+                </div>
+
+                {/* Pass/fail verdict against the performance budgets */}
+                {currentBudgetReport && (
+                  <BudgetReport run={currentRunRecord} report={currentBudgetReport} profile={activeProfile} />
+                )}
+
+                {/* Per-workload CPU timings */}
+                {resultsWithScore.some((r) => r.cpuWorkloads) && (
+                  <details className="mt-4 bg-gray-900 rounded p-3">
+                    <summary className="cursor-pointer text-white">CPU workloads (ms)</summary>
+                    <table className="w-full border border-gray-700 text-sm mt-2">
+                      <thead>
+                        <tr className="bg-gray-700">
+                          <th className="px-2 py-1 border border-gray-700">Site</th>
+                          {CPU_WORKLOADS.map((w) => (
+                            <th key={w.id} className="px-2 py-1 border border-gray-700" title={w.description}>
+                              {w.label}
+                            </th>
+                          ))}
+                          <th className="px-2 py-1 border border-gray-700">Composite</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {resultsWithScore.map((r) => (
+                          <tr key={r.index}>
+                            <td className="px-2 py-1 border border-gray-700">{siteCell(r.site, activeSpec?.siteSettings)}</td>
+                            {CPU_WORKLOADS.map((w) => (
+                              <td key={w.id} className="px-2 py-1 border border-gray-700">
+                                {fmt(r.cpuWorkloads?.[w.id], 1)}
+                              </td>
+                            ))}
+                            <td className="px-2 py-1 border border-gray-700 font-semibold">{fmt(r.cpuTime, 1)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    {resultsWithScore[0]?.parallelWorkers && (
+                      <p className="text-xs text-gray-400 mt-1">
+                        Parallel test used {resultsWithScore[0].parallelWorkers} workers.
+                      </p>
+                    )}
+                  </details>
+                )}
+
+                {/* Per-metric trial statistics */}
+                {resultsWithScore.some((r) => r.stats) && (
+                  <details className="mt-4 bg-gray-900 rounded p-3">
+                    <summary className="cursor-pointer text-white">
+                      {/* The run's own counts; the settings may have changed since it started */}
+                      Trial statistics ({activeSpec?.options.trials} trials, {activeSpec?.options.warmup} warm-up discarded)
+                    </summary>
+                    <table className="w-full border border-gray-700 text-sm mt-2">
+                      <thead>
+                        <tr className="bg-gray-700">
+                          <th className="px-2 py-1 border border-gray-700">Site</th>
+                          <th className="px-2 py-1 border border-gray-700">Metric</th>
+                          <th className="px-2 py-1 border border-gray-700">n</th>
+                          <th className="px-2 py-1 border border-gray-700">Median</th>
+                          <th className="px-2 py-1 border border-gray-700">Mean</th>
+                          <th className="px-2 py-1 border border-gray-700">p95</th>
+                          <th className="px-2 py-1 border border-gray-700">Std dev</th>
+                          <th className="px-2 py-1 border border-gray-700">Trimmed</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {resultsWithScore
+                          .filter((r) => r.stats)
+                          .flatMap((r) =>
+                            SCORED_METRICS.filter((m) => r.stats[m.key]).map((m) => {
+                              const st = r.stats[m.key];
+                              return (
+                                <tr key={`${r.index}-${m.key}`}>
+                                  <td className="px-2 py-1 border border-gray-700">{siteCell(r.site, activeSpec?.siteSettings)}</td>
+                                  <td className="px-2 py-1 border border-gray-700">{metricHeading(m)}</td>
+                                  <td className="px-2 py-1 border border-gray-700">
+                                    {st ? st.n : "—"}
+                                    {st?.outliers ? ` (${st.outliers} outlier${st.outliers > 1 ? "s" : ""})` : ""}
+                                  </td>
+                                  <td className="px-2 py-1 border border-gray-700">{fmt(st?.median, 1)}</td>
+                                  <td className="px-2 py-1 border border-gray-700">{fmt(st?.mean, 1)}</td>
+                                  <td className="px-2 py-1 border border-gray-700">{fmt(st?.p95, 1)}</td>
+                                  <td className="px-2 py-1 border border-gray-700">{fmt(st?.stdDev, 1)}</td>
+                                  <td className="px-2 py-1 border border-gray-700">{fmt(st?.trimmedMean, 1)}</td>
+                                </tr>
+                              );
+                            })
+                          )}
+                      </tbody>
+                    </table>
+                  </details>
+                )}
+
+                {/* Per-site chart: the score or any metric in the table */}
+                <div className="mt-6 flex items-center gap-2 text-sm text-gray-300">
+                  <label htmlFor="chart-metric">Chart</label>
+                  <select
+                    id="chart-metric"
+                    className="border border-gray-700 p-1 rounded bg-gray-900 text-gray-100"
+                    value={chartKey}
+                    onChange={(e) => setChartMetric(e.target.value)}
+                  >
+                    <option value="score">Score</option>
+                    {resultMetrics.map((m) => (
+                      <option key={m.key} value={m.key}>
+                        {metricHeading(m)}
+                        {m.better === "higher" ? " — higher is better" : ""}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="h-72 mt-2">
                   <ResponsiveContainer width="100%" height="100%">
                     <LineChart data={summaryChartData}>
                       <CartesianGrid strokeDasharray="3 3" />
@@ -408,7 +1686,12 @@ export default function App() {
                       <YAxis />
                       <Tooltip />
                       <Legend />
-                      <Line type="monotone" dataKey="score" stroke="#60a5fa" />
+                      <Line
+                        type="monotone"
+                        dataKey={chartKey}
+                        name={chartKey === "score" ? "score" : metricHeading(metricByKey(chartKey))}
+                        stroke="#60a5fa"
+                      />
                     </LineChart>
                   </ResponsiveContainer>
                 </div>
@@ -420,7 +1703,7 @@ export default function App() {
                     onClick={() => {
                       download(
                         `benchmark-${Date.now()}.csv`,
-                        toCSV(currentRunCSVRows()),
+                        toCSV(runsToCSVRows([buildRunRecord()], siteScoreFor)),
                         "text/csv"
                       );
                     }}
@@ -432,7 +1715,7 @@ export default function App() {
                     onClick={() => {
                       download(
                         `benchmark-${Date.now()}.json`,
-                        JSON.stringify({ computerName, results: resultsWithScore }, null, 2),
+                        JSON.stringify(buildRunRecord(), null, 2),
                         "application/json"
                       );
                     }}
@@ -441,27 +1724,10 @@ export default function App() {
                   </button>
                   <button
                     className="bg-gray-700 text-white px-4 py-2 rounded hover:bg-gray-600"
-                    onClick={() => {
-                      download(
-                        `benchmark-history-${Date.now()}.csv`,
-                        toCSV(historyCSVRows()),
-                        "text/csv"
-                      );
-                    }}
-                  >
-                    Export History (CSV)
-                  </button>
-                  <button
-                    className="bg-gray-700 text-white px-4 py-2 rounded hover:bg-gray-600"
-                    onClick={() => {
-                      download(
-                        `benchmark-history-${Date.now()}.json`,
-                        JSON.stringify(history, null, 2),
-                        "application/json"
-                      );
-                    }}
+                    onClick={() => downloadReport(buildRunRecord(), true)}
+                    title="One HTML file with tables, charts and history; opens offline and prints to PDF"
                   >
-                    Export History (JSON)
+                    Download report
                   </button>
                 </div>
 
@@ -469,89 +1735,342 @@ export default function App() {
                 {resultsWithScore.length === expectedCountRef.current && (
                   <div className="mt-4 font-bold text-blue-300">
                     Final Computer Score: {averageScore(resultsWithScore)}
+                    {resultsWithScore.some(isFailed) && (
+                      <div className="text-sm font-normal text-red-300">
+                        {resultsWithScore.filter(isFailed).length} failed site(s) not scored
+                      </div>
+                    )}
                   </div>
                 )}
               </>
             )}
           </div>
 
-          {/* If slow, show DNS “ping” recommendation */}
-          {dnsProbe && (
-            <div className="bg-gray-800 rounded shadow p-4 mt-4 text-left">
-              <h4 className="text-white font-semibold mb-2">Quick DNS “Ping” (HTTP RTT)</h4>
-              <p className="text-sm text-gray-300 mb-2">
-                Some sites loaded over <strong>1000 ms</strong>. Here’s a one-shot latency probe to popular DNS resolvers:
-              </p>
-              <ul className="text-sm text-gray-200">
-                <li>Cloudflare (1.1.1.1): <span className="font-mono">{dnsProbe.cloudflareMs} ms</span></li>
-                <li>Google (8.8.8.8): <span className="font-mono">{dnsProbe.googleMs} ms</span></li>
-              </ul>
-              <p className="mt-2">
-                <span className="text-blue-300 font-semibold">Recommended:</span> {dnsProbe.recommended}
-              </p>
-            </div>
-          )}
+        </div>
+      )}
+
+      {/* History + chart */}
+      <div className="max-w-5xl mx-auto bg-gray-800 rounded shadow p-4 mt-6">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+          <h3 className="text-lg font-semibold text-white">
+            Benchmark History ({history.length} run{history.length === 1 ? "" : "s"}
+            {filteredHistory.length !== history.length && `, ${filteredHistory.length} shown`})
+          </h3>
+          <label className="text-sm text-gray-300">
+            Keep{" "}
+            <select
+              className="border border-gray-700 p-1 rounded bg-gray-900 text-gray-100"
+              value={retention.mode}
+              onChange={(e) => changeRetention({ ...retention, mode: e.target.value })}
+            >
+              {RETENTION_MODES.map((m) => (
+                <option key={m.id} value={m.id}>{m.label}</option>
+              ))}
+            </select>
+            {retention.mode !== "unlimited" && (
+              <input
+                type="number"
+                min={1}
+                className="border border-gray-700 w-20 p-1 ml-1 rounded bg-gray-900 text-gray-100"
+                value={retention.value}
+                onChange={(e) =>
+                  changeRetention({ ...retention, value: Math.max(1, Number(e.target.value) || 1) })
+                }
+              />
+            )}
+          </label>
+          <label className="text-sm text-gray-300">
+            Environment{" "}
+            <select
+              className="border border-gray-700 p-1 rounded bg-gray-900 text-gray-100"
+              value={historyFilter.dimension}
+              onChange={(e) => {
+                setHistoryFilter({ dimension: e.target.value, value: "" });
+                setHistoryPage(0);
+              }}
+            >
+              <option value="">Any</option>
+              {ENVIRONMENT_DIMENSIONS.map((d) => (
+                <option key={d.id} value={d.id}>{d.label}</option>
+              ))}
+            </select>
+            {historyFilter.dimension && (
+              <select
+                className="border border-gray-700 p-1 ml-1 rounded bg-gray-900 text-gray-100 max-w-xs"
+                value={historyFilter.value}
+                onChange={(e) => {
+                  setHistoryFilter((f) => ({ ...f, value: e.target.value }));
+                  setHistoryPage(0);
+                }}
+              >
+                <option value="">All ({history.length})</option>
+                {historyEnvironmentValues.map(([key, count]) => (
+                  <option key={key} value={key}>{key} ({count})</option>
+                ))}
+              </select>
+            )}
+          </label>
+          <label className="text-sm text-gray-300">
+            Score with{" "}
+            <select
+              className="border border-gray-700 p-1 rounded bg-gray-900 text-gray-100"
+              value={historyProfileId}
+              onChange={(e) => setHistoryProfileId(e.target.value)}
+            >
+              <option value="">Profile used by each run</option>
+              {profiles.map((p) => (
+                <option key={p.id} value={p.id}>{p.name}</option>
+              ))}
+            </select>
+          </label>
+        </div>
 
-          {/* History + chart */}
-          {history.length > 0 && (
-            <div className="bg-gray-800 rounded shadow p-4 mt-6">
-              <h3 className="text-lg font-semibold mb-3 text-white">Benchmark History (last 5)</h3>
-
-              <div className="h-72 mb-4">
-                <ResponsiveContainer width="100%" height="100%">
-                  <LineChart data={historyChartData}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis dataKey="name" />
-                    <YAxis />
-                    <Tooltip />
-                    <Legend />
-                    <Line type="monotone" dataKey="final" stroke="#34d399" />
-                  </LineChart>
-                </ResponsiveContainer>
+        {/* Import / export */}
+        <div className="flex flex-wrap gap-2 mb-4">
+          <button
+            className="bg-gray-700 text-white px-4 py-2 rounded hover:bg-gray-600"
+            onClick={() => importInputRef.current?.click()}
+          >
+            Import Results…
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            multiple
+            accept=".json,.csv,application/json,text/csv"
+            className="hidden"
+            onChange={(e) => {
+              const files = [...(e.target.files || [])];
+              e.target.value = "";
+              if (files.length) importFiles(files);
+            }}
+          />
+          <button
+            className="bg-gray-700 text-white px-4 py-2 rounded hover:bg-gray-600 disabled:opacity-40"
+            disabled={!history.length}
+            onClick={() =>
+              exportHistory((runs) =>
+                download(`benchmark-history-${Date.now()}.csv`, toCSV(runsToCSVRows(runs, siteScoreFor)), "text/csv")
+              )
+            }
+          >
+            Export History (CSV)
+          </button>
+          <button
+            className="bg-gray-700 text-white px-4 py-2 rounded hover:bg-gray-600 disabled:opacity-40"
+            disabled={!history.length}
+            onClick={() =>
+              exportHistory((runs) =>
+                download(`benchmark-history-${Date.now()}.json`, JSON.stringify(runs, null, 2), "application/json")
+              )
+            }
+          >
+            Export History (JSON)
+          </button>
+        </div>
+
+        {importReport && (
+          <div className="bg-gray-900 rounded p-3 mb-4 text-left text-sm">
+            <div className="flex justify-between">
+              <span className="font-semibold text-white">Import report</span>
+              <button className="text-gray-400 hover:underline" onClick={() => setImportReport(null)}>
+                Dismiss
+              </button>
+            </div>
+            {importReport.map((r) => (
+              <div key={r.file} className="mt-2">
+                <span className="font-mono">{r.file}</span>:{" "}
+                {r.error ? (
+                  <span className="text-red-300">{r.error}</span>
+                ) : (
+                  <>
+                    {r.accepted} run{r.accepted === 1 ? "" : "s"} imported, {r.duplicates} already in
+                    history, {r.rejected.length} rejected
+                    {r.rejected.length > 0 && (
+                      <ul className="list-disc pl-5 text-amber-200">
+                        {r.rejected.slice(0, 20).map((x, i) => (
+                          <li key={i}>{x.where}: {x.reason}</li>
+                        ))}
+                        {r.rejected.length > 20 && <li>…and {r.rejected.length - 20} more</li>}
+                      </ul>
+                    )}
+                  </>
+                )}
               </div>
+            ))}
+          </div>
+        )}
+
+        {history.length === 0 ? (
+          <p className="text-gray-400">No runs yet. Run a benchmark or import an export.</p>
+        ) : (
+          <>
+            <div className="h-72 mb-4">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={historyChartData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" />
+                  <YAxis />
+                  <Tooltip />
+                  <Legend />
+                  <Line type="monotone" dataKey="final" stroke="#34d399" />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
 
-              <div className="space-y-4 text-left">
-                {history.map((h) => (
-                  <details key={h.id} className="bg-gray-900 rounded p-3">
-                    <summary className="cursor-pointer">
-                      <span className="font-semibold text-white">{h.at}</span> — {h.computer} ·{" "}
-                      <span className="text-blue-300 font-bold">
-                        Final Score: {Math.round(h.finalScore)}
+            <div className="space-y-4 text-left">
+              {pagedHistory.map((h) => (
+                <details key={h.id} className="bg-gray-900 rounded p-3">
+                  <summary className="cursor-pointer">
+                    <span className="font-semibold text-white">{h.at}</span> — {h.computer} ·{" "}
+                    <span className="text-blue-300 font-bold">
+                      Final Score: {historyScore(h)}
+                    </span>{" "}
+                    <span className="text-xs text-gray-400">({historyProfile(h).name})</span>
+                    {budgets.length > 0 && (
+                      evaluateBudgets(h, budgets, historyProfile(h)).passed ? (
+                        <span className="ml-1 text-xs px-1 rounded bg-green-900/60 text-green-200">budgets pass</span>
+                      ) : (
+                        <span className="ml-1 text-xs px-1 rounded bg-red-900/60 text-red-200">budgets fail</span>
+                      )
+                    )}
+                    {h.seed && h.selectionMode !== "all" && (
+                      <>
+                        {" "}· seed <span className="font-mono">{h.seed}</span>{" "}
+                        <button
+                          className="text-blue-300 hover:underline text-sm"
+                          onClick={(e) => {
+                            e.preventDefault();
+                            replaySelection(h);
+                          }}
+                        >
+                          Replay
+                        </button>
+                      </>
+                    )}
+                    {h.selectionMode === "all" && " · full suite"}
+                    {h.siteGroup && <span className="text-xs text-gray-400"> · group {h.siteGroup}</span>}
+                    {h.selectionMode === "rerun-failed" && " · re-run of failed sites"}
+                    <span className="text-xs text-gray-400"> · {describeStrategy(h.strategy)}</span>
+                    {h.source && <span className="text-xs text-gray-400"> · from {h.source}</span>}
+                    {historyFilter.dimension && (
+                      <span className="text-xs text-gray-400">
+                        {" "}· {environmentKey(h.environment, historyFilter.dimension)}
                       </span>
-                    </summary>
-                    <div className="mt-2">
-                      <table className="w-full border border-gray-700 text-sm">
-                        <thead>
-                          <tr className="bg-gray-700">
-                            <th className="px-2 py-1 border border-gray-700">Site</th>
-                            <th className="px-2 py-1 border border-gray-700">CPU</th>
-                            <th className="px-2 py-1 border border-gray-700">Mem</th>
-                            <th className="px-2 py-1 border border-gray-700">Net</th>
-                            <th className="px-2 py-1 border border-gray-700">Load</th>
-                            <th className="px-2 py-1 border border-gray-700">Score</th>
-                          </tr>
-                        </thead>
-                        <tbody>
-                          {h.results.map((r) => (
+                    )}{" "}
+                    <button
+                      className={`text-sm hover:underline ${baselines[h.computer] === h.id ? "text-amber-300" : "text-blue-300"}`}
+                      onClick={(e) => {
+                        e.preventDefault();
+                        togglePin(h);
+                      }}
+                    >
+                      {baselines[h.computer] === h.id ? "★ Baseline (unpin)" : "Pin as baseline"}
+                    </button>{" "}
+                    <button
+                      className="text-blue-300 hover:underline text-sm"
+                      onClick={(e) => {
+                        e.preventDefault();
+                        downloadReport(h);
+                      }}
+                    >
+                      Report
+                    </button>{" "}
+                    <button
+                      className="text-red-300 hover:underline text-sm"
+                      onClick={(e) => {
+                        e.preventDefault();
+                        if (confirm(`Delete the run from ${h.at}?`)) removeRun(h.id);
+                      }}
+                    >
+                      Delete
+                    </button>
+                  </summary>
+                  <div className="mt-2">
+                    <p className="text-xs text-gray-400 mb-1">{describeEnvironment(h.environment)}</p>
+                    {h.environment && (
+                      <details className="text-xs text-gray-300 mb-2">
+                        <summary className="cursor-pointer text-gray-400">Environment details</summary>
+                        <dl className="grid grid-cols-[max-content_1fr] gap-x-3 mt-1">
+                          {Object.entries(environmentDetails(h.environment)).map(([k, v]) => (
+                            <React.Fragment key={k}>
+                              <dt className="text-gray-400">{k}</dt>
+                              <dd className="break-all">{v}</dd>
+                            </React.Fragment>
+                          ))}
+                        </dl>
+                      </details>
+                    )}
+                    <table className="w-full border border-gray-700 text-sm">
+                      <thead>
+                        <tr className="bg-gray-700">
+                          <th className="px-2 py-1 border border-gray-700">Site</th>
+                          {tableMetrics(h.results).map((m) => (
+                            <th key={m.key} className="px-2 py-1 border border-gray-700" title={metricHeading(m)}>
+                              {m.shortLabel}
+                            </th>
+                          ))}
+                          <th className="px-2 py-1 border border-gray-700">Score</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {h.results.map((raw) => resolve(raw, h.statistic ?? "median")).map((r) =>
+                          isFailed(r) ? (
+                            <tr key={r.index} className="bg-red-900/20">
+                              <td className="px-2 py-1 border border-gray-700">{siteCell(r.site, h.siteSettings)}</td>
+                              <td
+                                colSpan={tableMetrics(h.results).length + 1}
+                                className="px-2 py-1 border border-gray-700 text-red-300"
+                              >
+                                {statusLabel(r.status)}
+                                {r.statusDetail && ` — ${r.statusDetail}`}
+                              </td>
+                            </tr>
+                          ) : (
                             <tr key={r.index}>
-                              <td className="px-2 py-1 border border-gray-700">{r.site}</td>
-                              <td className="px-2 py-1 border border-gray-700">{r.cpuTime.toFixed(1)}</td>
-                              <td className="px-2 py-1 border border-gray-700">{r.memoryUsage.toFixed(1)}</td>
-                              <td className="px-2 py-1 border border-gray-700">{r.networkLatency.toFixed(1)}</td>
-                              <td className="px-2 py-1 border border-gray-700">{r.loadTime.toFixed(1)}</td>
-                              <td className="px-2 py-1 border border-gray-700">{scoreOne(r)}</td>
+                              <td className="px-2 py-1 border border-gray-700">{siteCell(r.site, h.siteSettings)}</td>
+                              {tableMetrics(h.results).map((m) => (
+                                <td key={m.key} className="px-2 py-1 border border-gray-700">
+                                  {metricValue(m, r, 1)}
+                                </td>
+                              ))}
+                              <td className="px-2 py-1 border border-gray-700">{scoreOne(r, historyProfile(h))}</td>
                             </tr>
-                          ))}
-                        </tbody>
-                      </table>
-                    </div>
-                  </details>
-                ))}
-              </div>
+                          )
+                        )}
+                      </tbody>
+                    </table>
+                  </div>
+                </details>
+              ))}
             </div>
-          )}
-        </div>
-      )}
+
+            {historyPageCount > 1 && (
+              <div className="mt-4 flex items-center justify-center gap-3 text-sm text-gray-300">
+                <button
+                  className="bg-gray-700 px-3 py-1 rounded hover:bg-gray-600 disabled:opacity-40"
+                  disabled={currentHistoryPage === 0}
+                  onClick={() => setHistoryPage(currentHistoryPage - 1)}
+                >
+                  ← Newer
+                </button>
+                <span>
+                  Page {currentHistoryPage + 1} / {historyPageCount}
+                </span>
+                <button
+                  className="bg-gray-700 px-3 py-1 rounded hover:bg-gray-600 disabled:opacity-40"
+                  disabled={currentHistoryPage >= historyPageCount - 1}
+                  onClick={() => setHistoryPage(currentHistoryPage + 1)}
+                >
+                  Older →
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {history.length > 0 && <ComparisonView history={history} loadResults={loadHistoryResults} siteValues={historySiteValues} />}
     </div>
   );
 }
@@ -0,0 +1,278 @@
+// ---------- Runner page ----------
+// The script of /benchmark.html, which the dashboard opens as a popup or a
+// frame (runner.js) and the CLI embeds in its host page. It measures one
+// site and reports with the messages in protocol.js; what a trial measures
+// comes from the metric registry's collectors (metrics/index.js).
+import { parseWorkloads } from "./cpuWorkloads.js";
+import { COLLECTORS } from "./metrics/index.js";
+import { HEARTBEAT_INTERVAL_MS, PROTOCOL, PROTOCOL_VERSION } from "./protocol.js";
+
+const params = new URLSearchParams(location.search);
+const site = params.get("site") || "about:blank";
+const runId = Number(params.get("runId") || Date.now());
+const index = Number(params.get("index") || 0);
+const trials = Math.max(1, Number(params.get("trials") || 1));
+const warmup = Math.max(0, Number(params.get("warmup") || 0));
+const workloadIds = parseWorkloads(params.get("workloads"));
+const probeUrl = new URL(site, location.href).href;
+const statusEl = document.querySelector(".status");
+
+// The run's secret nonce arrives in the hash; drop it from the URL right away.
+const nonce = new URLSearchParams(location.hash.slice(1)).get("nonce") || "";
+if (location.hash) history.replaceState(null, "", location.pathname + location.search);
+
+// ---------- Messages ----------
+// Popup mode reports to the opener; embedded mode to the parent frame.
+// Messages only go to a dashboard on this runner's own origin.
+const host = window.opener || (window.parent !== window ? window.parent : null);
+function send(type, fields = {}) {
+  if (!host || !host.postMessage) return;
+  try {
+    host.postMessage(
+      { protocol: PROTOCOL, version: PROTOCOL_VERSION, type, runId, index, nonce, ...fields },
+      location.origin
+    );
+  } catch (e) { /* host navigated away or closed */ }
+}
+function progress(stage, detail) {
+  statusEl.textContent = detail;
+  send("progress", { stage, detail: detail.slice(0, 200) });
+}
+const heartbeat = setInterval(() => send("heartbeat"), HEARTBEAT_INTERVAL_MS);
+// Embedded frames are removed by the dashboard; only popups close themselves.
+function finish() {
+  clearInterval(heartbeat);
+  for (const c of COLLECTORS) c.dispose?.();
+  if (window.opener) setTimeout(() => window.close(), 400);
+}
+
+// Window state, reported with the result: a hidden (background) window
+// gets its timers throttled, which skews the measurements.
+let hiddenDuringRun = document.visibilityState === "hidden";
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "hidden") hiddenDuringRun = true;
+});
+function runnerEnvironment() {
+  return { visibility: document.visibilityState, focused: document.hasFocus(), hiddenDuringRun };
+}
+
+// Safety timeout per trial (e.g., site blocks iframing or never finishes).
+// Site groups can override it per site with ?timeout=<ms>.
+const MAX_TIMEOUT_MS = Math.min(120000, Math.max(1000, Number(params.get("timeout")) || 15000));
+
+// Load the site in a fresh iframe; resolves null on timeout.
+function loadFrame() {
+  return new Promise((resolve) => {
+    const start = performance.now();
+    const iframe = document.createElement("iframe");
+    const killTimer = setTimeout(() => {
+      iframe.remove();
+      resolve(null);
+    }, MAX_TIMEOUT_MS);
+    iframe.onload = () => {
+      clearTimeout(killTimer);
+      resolve({ iframe, loadTime: performance.now() - start, blank: blankFrame(iframe) });
+    };
+    // Under COEP (cross-origin isolated dev server) third-party pages can
+    // only be embedded as credentialless frames.
+    if (window.crossOriginIsolated) iframe.setAttribute("credentialless", "");
+    iframe.src = site;
+    document.body.appendChild(iframe);
+  });
+}
+
+// A same-origin frame can be looked into: a refused or failed
+// navigation leaves it unreadable (the browser's error page has its own
+// origin) or empty. Cross-origin frames are never readable, so this
+// can't tell anything about them.
+function blankFrame(iframe) {
+  if (new URL(probeUrl).origin !== location.origin) return false;
+  try {
+    const doc = iframe.contentDocument;
+    return !doc || doc.URL === "about:blank" || !doc.body || !doc.body.childNodes.length;
+  } catch (e) {
+    return true;
+  }
+}
+
+// ---------- Preflight: reachable, and allowed in a frame? ----------
+// A no-cors fetch only rejects on network failure (DNS, connection,
+// TLS). Framing rules can only be checked when the response headers are
+// readable: same-origin sites, or CORS responses that expose them (the
+// local fixture server does). Otherwise a refused frame shows up as a
+// timeout or as a measurement of the browser's error page, so those
+// sites are reported as "unverified" rather than "ok".
+function frameRefusal(headers) {
+  const sameOrigin = new URL(probeUrl).origin === location.origin;
+  const csp = headers.get("content-security-policy") || "";
+  const ancestors = /(?:^|;)\s*frame-ancestors\s+([^;]*)/i.exec(csp);
+  if (ancestors) {
+    // frame-ancestors takes precedence over X-Frame-Options
+    const sources = ancestors[1].trim().split(/\s+/);
+    const allowed = sources.some((src) =>
+      src === "*" || (src === "'self'" && sameOrigin) || src.replace(/\/$/, "") === location.origin
+    );
+    return allowed ? null : `Content-Security-Policy frame-ancestors ${ancestors[1].trim()}`;
+  }
+  const xfo = (headers.get("x-frame-options") || "").trim().toLowerCase();
+  if (xfo === "deny") return "X-Frame-Options: DENY";
+  if (xfo === "sameorigin" && !sameOrigin) return "X-Frame-Options: SAMEORIGIN";
+  return null;
+}
+// Preflight requests share the page-load limit
+async function preflightFetch(mode) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), MAX_TIMEOUT_MS);
+  try {
+    return await fetch(probeUrl, { mode, cache: "no-store", signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+async function preflight() {
+  let lastError = null;
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await preflightFetch("no-cors");
+      lastError = null;
+      break;
+    } catch (e) {
+      if (e.name === "AbortError") {
+        return { status: "timeout", statusDetail: `The site did not respond within ${MAX_TIMEOUT_MS / 1000} s` };
+      }
+      lastError = e;
+    }
+  }
+  if (lastError) return { status: "network-error", statusDetail: `Could not reach the site (${lastError.message})` };
+  try {
+    const res = await preflightFetch("cors");
+    const refusal = frameRefusal(res.headers);
+    if (refusal) return { status: "frame-refused", statusDetail: refusal };
+    // Absent and unexposed headers both read as null; only a same-origin
+    // response, or one with a framing header we could read, settles it.
+    if (res.type === "basic" || res.headers.has("x-frame-options") || res.headers.has("content-security-policy")) {
+      return { status: "ok" };
+    }
+  } catch (e) { /* headers not readable cross-origin */ }
+  return {
+    status: "unverified",
+    statusDetail: "The site's framing headers are not readable from here; if it refuses frames, these are timings of the browser's error page",
+  };
+}
+
+// ---------- Trials ----------
+// This page loads the frame (the collector without collect()); the other
+// collectors then measure the loaded page, in order.
+const loadStage = COLLECTORS.find((c) => !c.collect);
+const activeCollectors = COLLECTORS.filter((c) => c.collect && (!c.enabled || c.enabled(params)));
+
+// One full measurement; resolves null when the page load timed out and
+// { blank: true } when the frame came up empty.
+async function measureTrial(label) {
+  progress(loadStage.id, `Loading ${site}… (${label})`);
+  const loaded = await loadFrame();
+  if (!loaded) return null;
+  const { iframe, loadTime } = loaded;
+  if (loaded.blank) {
+    iframe.remove();
+    return { blank: true };
+  }
+
+  const sample = { loadTime };
+  const ctx = { site, url: probeUrl, params, frame: iframe };
+  for (const c of activeCollectors) {
+    progress(c.id, `${c.label}… (${label})`);
+    Object.assign(sample, await c.collect(ctx));
+  }
+  iframe.remove();
+  return sample;
+}
+
+function median(values) {
+  const xs = values.filter((v) => typeof v === "number" && isFinite(v)).sort((a, b) => a - b);
+  if (!xs.length) return null;
+  const mid = Math.floor(xs.length / 2);
+  return xs.length % 2 ? xs[mid] : (xs[mid - 1] + xs[mid]) / 2;
+}
+
+// Failed sites are reported with a status and no measurements, never
+// with made-up numbers that would be scored.
+function sendFailure(status, statusDetail) {
+  progress(status === "timeout" ? "timeout" : "done", statusDetail);
+  finish();
+  send("result", {
+    result: {
+      site,
+      status,
+      statusDetail: statusDetail.slice(0, 500),
+      trials, warmup,
+      workloads: workloadIds,
+      samples: [],
+      cpuTime: null,
+      memoryUsage: null,
+      memorySource: "unavailable",
+      networkLatency: null,
+      loadTime: null,
+      timingApproximate: true,
+      environment: runnerEnvironment()
+    }
+  });
+}
+
+// Any unexpected failure is reported instead of leaving the dashboard waiting.
+async function runAll() {
+  progress("checking", `Checking ${site}…`);
+  const framing = await preflight();
+  if (framing.status !== "ok" && framing.status !== "unverified") {
+    return sendFailure(framing.status, framing.statusDetail);
+  }
+
+  // Warm-up trials are measured the same way and then discarded.
+  const samples = [];
+  for (let t = 0; t < warmup + trials; t++) {
+    const label = t < warmup ? `warm-up ${t + 1}/${warmup}` : `trial ${t - warmup + 1}/${trials}`;
+    const sample = await measureTrial(label);
+    if (!sample) {
+      sendFailure("timeout", `Page did not finish loading within ${MAX_TIMEOUT_MS / 1000} s (${label})`);
+      return;
+    }
+    if (sample.blank) {
+      sendFailure("frame-refused", `The frame loaded an empty or error page instead of the site (${label})`);
+      return;
+    }
+    if (t >= warmup) samples.push(sample);
+  }
+
+  // Top-level fields carry the per-metric median so single-value readers
+  // keep working; the dashboard re-aggregates from `samples`. Side fields
+  // are summarized by their collector.
+  const summary = {};
+  for (const key of Object.keys(samples[0])) {
+    summary[key] = median(samples.map((s) => s[key]));
+  }
+  for (const c of activeCollectors) {
+    Object.assign(summary, c.summarize?.(samples, median), c.resultFields?.(params));
+  }
+
+  progress("done", "Done");
+  finish();
+  send("result", {
+    result: {
+      site,
+      ...framing,
+      trials,
+      warmup,
+      workloads: workloadIds,
+      ...summary,
+      samples,
+      environment: runnerEnvironment()
+    }
+  });
+}
+
+send("started", { site, trials, warmup });
+runAll().catch((e) => {
+  statusEl.textContent = `Error: ${e.message}`;
+  finish();
+  send("error", { message: String((e && e.message) || e).slice(0, 1000) });
+});
@@ -0,0 +1,240 @@
+// ---------- Performance budgets ----------
+// Budgets are written one per line:
+//   <metric> [statistic] <op> <value>[unit] [on <site>]
+// for example
+//   load p95 < 1200ms
+//   ttfb median <= 300 on https://example.com
+//   final score >= 700
+//   failed sites = 0
+// Site metrics are checked on every site of a run, or only on the site after
+// "on"; run metrics once per run. Without a statistic a site metric uses the
+// run's own statistic. A site that failed (resultStatus.js) breaks every site
+// budget that applies to it. A value the browser did not report (e.g. memory
+// outside Chromium) skips the check instead.
+//
+// Reports export as a JSON summary and as JUnit XML (one test suite per
+// budget, one test case per site) so a build pipeline can gate on them.
+import { METRICS } from "./metrics/index.js";
+import { BUILTIN_PROFILES, averageScore, scoreResult } from "./scoring.js";
+import { isFailed, statusLabel } from "./resultStatus.js";
+import { STATISTICS, resolveSiteResult, summarize } from "./stats.js";
+
+// Every registered metric (metrics/) is a site metric, by key, label or alias
+export const BUDGET_METRICS = [
+  ...METRICS.map((m) => ({ id: m.key, label: m.label, unit: m.unit, format: m.format, scope: "site", aliases: m.aliases })),
+  { id: "score", label: "Site score", unit: "", scope: "site", aliases: ["score"] },
+  { id: "finalScore", label: "Final score", unit: "", scope: "run", aliases: [] },
+  { id: "failedSites", label: "Failed sites", unit: "", scope: "run", aliases: ["failures"] },
+];
+
+const OPERATORS = {
+  "<": (v, limit) => v < limit,
+  "<=": (v, limit) => v <= limit,
+  ">": (v, limit) => v > limit,
+  ">=": (v, limit) => v >= limit,
+  "=": (v, limit) => v === limit,
+};
+const OPERATOR_ALIASES = { "≤": "<=", "≥": ">=", "==": "=" };
+
+const squash = (s) => s.toLowerCase().replace(/[\s_-]+/g, "");
+
+function findMetric(name) {
+  const key = squash(name);
+  return BUDGET_METRICS.find(
+    (m) => squash(m.id) === key || squash(m.label) === key || m.aliases.some((a) => squash(a) === key)
+  );
+}
+
+function findStatistic(name) {
+  const key = squash(name);
+  return STATISTICS.find((s) => squash(s.id) === key || squash(s.label) === key);
+}
+
+const LINE = /^(.+?)\s*(<=|>=|==|≤|≥|<|>|=)\s*(-?\d+(?:\.\d+)?)\s*([a-z]*|%)(?:\s+on\s+(\S+))?$/i;
+const TRAILING_STATISTIC = /\s+(median|mean|p95|trimmed\s*mean)$/i;
+
+// Returns { budgets, errors }; errors carry the 1-based line number. Blank
+// lines and lines starting with # are ignored.
+export function parseBudgets(text) {
+  const budgets = [];
+  const errors = [];
+  String(text || "")
+    .split("\n")
+    .forEach((raw, i) => {
+      const line = raw.trim();
+      if (!line || line.startsWith("#")) return;
+      const problem = (message) => errors.push({ line: i + 1, text: line, message });
+
+      const m = LINE.exec(line);
+      if (!m) return problem("expected <metric> [statistic] <op> <value> [on <site>]");
+      let [, name, op, value, unit, site] = m;
+      op = OPERATOR_ALIASES[op] || op;
+
+      let statistic = null;
+      const st = TRAILING_STATISTIC.exec(name);
+      if (st) {
+        statistic = findStatistic(st[1]).id;
+        name = name.slice(0, st.index);
+      }
+      const metric = findMetric(name);
+      if (!metric) return problem(`unknown metric "${name}"`);
+      if (statistic && (metric.scope === "run" || metric.id === "score")) {
+        return problem(`${metric.label} has no per-trial samples, so it takes no statistic`);
+      }
+      if (site && metric.scope === "run") return problem(`${metric.label} is a run metric and can't be limited to one site`);
+      if (site) {
+        try {
+          new URL(site);
+        } catch {
+          return problem(`"${site}" is not a URL`);
+        }
+      }
+
+      let limit = Number(value);
+      const u = unit.toLowerCase();
+      if (u && metric.unit === "ms" && u === "s") limit *= 1000;
+      else if (u && u !== metric.unit.toLowerCase()) {
+        return problem(metric.unit ? `${metric.label} is measured in ${metric.unit}` : `${metric.label} has no unit`);
+      }
+
+      budgets.push({ line: i + 1, metric: metric.id, statistic, op, value: limit, site: site || null });
+    });
+  return { budgets, errors };
+}
+
+export function describeBudget(budget) {
+  const metric = BUDGET_METRICS.find((m) => m.id === budget.metric);
+  const statistic = budget.statistic ? ` ${STATISTICS.find((s) => s.id === budget.statistic).label.toLowerCase()}` : "";
+  const unit = metric.unit ? ` ${metric.unit}` : "";
+  const site = budget.site ? ` on ${budget.site}` : "";
+  return `${metric.label}${statistic} ${budget.op} ${budget.value}${unit}${site}`;
+}
+
+// ---------- Evaluation ----------
+function siteValue(r, budget, run, profile) {
+  if (budget.metric === "score") return scoreResult(resolveSiteResult(r, run.statistic ?? "median"), profile);
+  if (budget.statistic && r.samples?.length) {
+    return summarize(r.samples.map((s) => s[budget.metric]))?.[budget.statistic] ?? null;
+  }
+  return resolveSiteResult(r, run.statistic ?? "median")[budget.metric] ?? null;
+}
+
+function check(budget, site, value, reason = null) {
+  if (reason) return { budget, site, value: null, outcome: "fail", reason };
+  if (typeof value !== "number" || !isFinite(value)) return { budget, site, value: null, outcome: "skip", reason: "not measured" };
+  const ok = OPERATORS[budget.op](value, budget.value);
+  return { budget, site, value, outcome: ok ? "pass" : "fail", reason: null };
+}
+
+// `run` is a history/export run record; `profile` scores it (the run's own
+// profile unless the caller re-scores; runs from before profiles existed used
+// the default one). Returns
+//   { passed, checks, failures, skipped }
+// where each check is { budget, site (null for run metrics), value, outcome, reason }.
+export function evaluateBudgets(run, budgets, profile = run.profile || BUILTIN_PROFILES[0]) {
+  const results = run.results || [];
+  const checks = [];
+  for (const budget of budgets) {
+    if (budget.metric === "finalScore") {
+      const statistic = run.statistic ?? "median";
+      checks.push(check(budget, null, averageScore(results.map((r) => resolveSiteResult(r, statistic)), profile)));
+      continue;
+    }
+    if (budget.metric === "failedSites") {
+      checks.push(check(budget, null, results.filter(isFailed).length));
+      continue;
+    }
+    const targets = budget.site ? results.filter((r) => r.site === budget.site) : results;
+    if (!targets.length && budget.site) {
+      checks.push({ budget, site: budget.site, value: null, outcome: "skip", reason: "site not in this run" });
+    }
+    for (const r of targets) {
+      checks.push(
+        isFailed(r)
+          ? check(budget, r.site, null, `site failed: ${statusLabel(r.status)}`)
+          : check(budget, r.site, siteValue(r, budget, run, profile))
+      );
+    }
+  }
+  const failures = checks.filter((c) => c.outcome === "fail");
+  const skipped = checks.filter((c) => c.outcome === "skip");
+  return { passed: failures.length === 0, checks, failures, skipped };
+}
+
+export function describeCheck(c) {
+  const where = c.site ? `${c.site}: ` : "";
+  if (c.reason) return `${where}${c.reason}`;
+  const metric = BUDGET_METRICS.find((m) => m.id === c.budget.metric);
+  const value = metric.format ? metric.format(c.value) : Number.isInteger(c.value) ? c.value : c.value.toFixed(1);
+  return `${where}${value}${metric.unit ? ` ${metric.unit}` : ""} (budget ${c.budget.op} ${c.budget.value})`;
+}
+
+// ---------- Exports ----------
+export const BUDGET_SUMMARY_FORMAT = "benchmark-budgets";
+export const BUDGET_SUMMARY_VERSION = 1;
+
+export function budgetSummary(run, report, profile = run.profile) {
+  return {
+    format: BUDGET_SUMMARY_FORMAT,
+    version: BUDGET_SUMMARY_VERSION,
+    run: { id: run.id, at: run.at, computer: run.computer, statistic: run.statistic ?? "median", profile: profile?.id ?? null },
+    passed: report.passed,
+    counts: {
+      budgets: new Set(report.checks.map((c) => c.budget)).size,
+      checks: report.checks.length,
+      failed: report.failures.length,
+      skipped: report.skipped.length,
+    },
+    checks: report.checks.map((c) => ({
+      budget: describeBudget(c.budget),
+      metric: c.budget.metric,
+      statistic: c.budget.statistic,
+      op: c.budget.op,
+      limit: c.budget.value,
+      site: c.site,
+      value: c.value,
+      outcome: c.outcome,
+      reason: c.reason,
+    })),
+  };
+}
+
+const xml = (s) =>
+  String(s).replace(/[<>&"']/g, (ch) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[ch]);
+
+export function budgetJUnit(run, report) {
+  const suites = new Map();
+  for (const c of report.checks) {
+    if (!suites.has(c.budget)) suites.set(c.budget, []);
+    suites.get(c.budget).push(c);
+  }
+  const timestamp = run.id ? new Date(run.id).toISOString().slice(0, 19) : "";
+  const lines = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<testsuites name="Performance budgets (${xml(run.computer || "unnamed computer")})" tests="${report.checks.length}" failures="${report.failures.length}" skipped="${report.skipped.length}">`,
+  ];
+  for (const [budget, checks] of suites) {
+    const failed = checks.filter((c) => c.outcome === "fail").length;
+    const skipped = checks.filter((c) => c.outcome === "skip").length;
+    lines.push(
+      `  <testsuite name="${xml(describeBudget(budget))}" tests="${checks.length}" failures="${failed}" skipped="${skipped}" timestamp="${timestamp}">`
+    );
+    for (const c of checks) {
+      const name = xml(c.site ?? "run");
+      const classname = xml(`budgets.${budget.metric}`);
+      if (c.outcome === "pass") {
+        lines.push(`    <testcase classname="${classname}" name="${name}"/>`);
+      } else {
+        const tag = c.outcome === "fail" ? "failure" : "skipped";
+        lines.push(
+          `    <testcase classname="${classname}" name="${name}">`,
+          `      <${tag} message="${xml(describeCheck(c))}"/>`,
+          `    </testcase>`
+        );
+      }
+    }
+    lines.push(`  </testsuite>`);
+  }
+  lines.push(`</testsuites>`);
+  return `${lines.join("\n")}\n`;
+}
@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import { evaluateBudgets, parseBudgets } from "./budgets.js";
+
+const run = {
+  id: 1,
+  statistic: "median",
+  results: [
+    {
+      index: 0,
+      site: "https://a.example",
+      status: "ok",
+      loadTime: 900,
+      cpuTime: 300,
+      networkLatency: 100,
+      samples: [{ loadTime: 800 }, { loadTime: 900 }, { loadTime: 1500 }],
+    },
+    { index: 1, site: "https://b.example", status: "ok", loadTime: 1300, cpuTime: 300, networkLatency: 100, memoryUsage: null },
+    { index: 2, site: "https://c.example", status: "timeout", loadTime: null, cpuTime: null, networkLatency: null },
+  ],
+};
+
+function evaluate(text) {
+  const { budgets, errors } = parseBudgets(text);
+  expect(errors).toEqual([]);
+  return evaluateBudgets(run, budgets);
+}
+
+describe("evaluateBudgets", () => {
+  it("checks site metrics on every site, and failed sites break them", () => {
+    const report = evaluate("load < 1200ms");
+    expect(report.passed).toBe(false);
+    expect(report.failures.map((c) => c.site)).toEqual(["https://b.example", "https://c.example"]);
+  });
+
+  it("uses the statistic named in the budget", () => {
+    const report = evaluate("load p95 < 1200ms on https://a.example");
+    expect(report.checks).toHaveLength(1);
+    expect(report.passed).toBe(false);
+  });
+
+  it("skips values the browser didn't report", () => {
+    const report = evaluate("memory < 100 on https://b.example");
+    expect(report.skipped).toHaveLength(1);
+    expect(report.passed).toBe(true);
+  });
+
+  it("checks run metrics once per run", () => {
+    expect(evaluate("failed sites = 1").passed).toBe(true);
+    expect(evaluate("failed sites = 0").passed).toBe(false);
+  });
+
+  it("reports unknown metrics as parse errors", () => {
+    expect(parseBudgets("# comment\n\nspeed < 3").errors).toEqual([expect.objectContaining({ line: 3 })]);
+  });
+});
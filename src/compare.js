@@ -0,0 +1,82 @@
+// ---------- Multi-machine comparison ----------
+// An "entity" is one column of the comparison: a single run, or every run of
+// one computer. Per site, each metric is the median over the entity's runs.
+import { SCORED_METRICS } from "./scoring.js";
+import { quantile } from "./stats.js";
+
+export const COMPARE_METRICS = [
+  ...SCORED_METRICS,
+  { key: "score", label: "Score", unit: "pts", better: "higher" },
+];
+
+function median(values) {
+  const xs = values.filter((v) => typeof v === "number" && isFinite(v)).sort((a, b) => a - b);
+  return xs.length ? quantile(xs, 0.5) : null;
+}
+
+// `siteValues(run)` returns the run's resolved results, each with a `score`.
+// Returns { site: { metricKey: value } }.
+export function aggregateEntity(runs, siteValues) {
+  const bySite = new Map();
+  for (const run of runs) {
+    for (const r of siteValues(run)) {
+      if (!bySite.has(r.site)) bySite.set(r.site, []);
+      bySite.get(r.site).push(r);
+    }
+  }
+  const out = {};
+  for (const [site, rows] of bySite) {
+    out[site] = {};
+    for (const { key } of COMPARE_METRICS) out[site][key] = median(rows.map((r) => r[key]));
+  }
+  return out;
+}
+
+// Index of the best value (ties go to the earlier entity); -1 if none.
+export function winnerIndex(values, better) {
+  let best = -1;
+  values.forEach((v, i) => {
+    if (v == null) return;
+    if (best < 0 || (better === "lower" ? v < values[best] : v > values[best])) best = i;
+  });
+  return best;
+}
+
+// Delta and percentage difference of `value` against `base` (the first entity).
+export function delta(value, base) {
+  if (value == null || base == null) return null;
+  const diff = value - base;
+  return { diff, pct: base === 0 ? null : (diff / base) * 100 };
+}
+
+// Rows of { site, metric, values[], winner, deltas[] } for every site any
+// entity measured. Entities: [{ label, data }] where data comes from aggregateEntity.
+export function compareEntities(entities) {
+  const sites = [...new Set(entities.flatMap((e) => Object.keys(e.data)))].sort();
+  const rows = [];
+  for (const site of sites) {
+    for (const metric of COMPARE_METRICS) {
+      const values = entities.map((e) => e.data[site]?.[metric.key] ?? null);
+      rows.push({
+        site,
+        metric,
+        values,
+        winner: winnerIndex(values, metric.better),
+        deltas: values.map((v) => delta(v, values[0])),
+      });
+    }
+  }
+  return rows;
+}
+
+// How many (site, metric) cells each entity wins, per metric and overall.
+export function winTally(rows, entityCount) {
+  const tally = Object.fromEntries(COMPARE_METRICS.map((m) => [m.key, Array(entityCount).fill(0)]));
+  const total = Array(entityCount).fill(0);
+  for (const row of rows) {
+    if (row.winner < 0 || row.values.filter((v) => v != null).length < 2) continue;
+    tally[row.metric.key][row.winner]++;
+    total[row.winner]++;
+  }
+  return { tally, total };
+}
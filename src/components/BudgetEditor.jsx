@@ -0,0 +1,53 @@
+import React from "react";
+import { BUDGET_METRICS, describeBudget } from "../budgets";
+import { download } from "../files";
+
+// Budget list editor (one budget per line, see budgets.js). The parent parses
+// and persists the text; the same file works with the CLI's --budgets.
+export default function BudgetEditor({ text, parsed, onChange }) {
+  return (
+    <div className="max-w-5xl mx-auto text-left bg-gray-800 rounded shadow p-4 mt-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-white">Performance budgets</h2>
+        <button
+          className="text-sm text-blue-300 hover:underline disabled:opacity-40"
+          disabled={!text.trim()}
+          onClick={() => download("budgets.txt", text.endsWith("\n") ? text : `${text}\n`)}
+        >
+          Export budgets
+        </button>
+      </div>
+      <p className="text-sm text-gray-400 mt-1">
+        One per line: <code>&lt;metric&gt; [statistic] &lt;op&gt; &lt;value&gt; [on &lt;site&gt;]</code>, e.g.{" "}
+        <code>load p95 &lt; 1200ms</code> or <code>final score ≥ 700</code>. Every finished run gets a pass/fail
+        verdict.
+      </p>
+      <textarea
+        className="w-full h-28 mt-2 border border-gray-700 rounded p-2 font-mono text-sm bg-gray-900 text-gray-100"
+        placeholder={"load p95 < 1200ms\nfinal score >= 700\nfailed sites = 0"}
+        value={text}
+        onChange={(e) => onChange(e.target.value)}
+      />
+      {parsed.errors.length > 0 && (
+        <ul className="text-sm text-red-300 mt-1">
+          {parsed.errors.map((e) => (
+            <li key={e.line}>
+              Line {e.line} (<code>{e.text}</code>): {e.message}
+            </li>
+          ))}
+        </ul>
+      )}
+      {parsed.budgets.length > 0 && (
+        <p className="text-xs text-gray-400 mt-1">
+          {parsed.budgets.length} budget{parsed.budgets.length === 1 ? "" : "s"}:{" "}
+          {parsed.budgets.map(describeBudget).join(" · ")}
+        </p>
+      )}
+      <p className="text-xs text-gray-500 mt-1">
+        Metrics:{" "}
+        {BUDGET_METRICS.map((m) => `${m.label.toLowerCase()}${m.scope === "run" ? " (run)" : ""}`).join(", ")}.
+        Statistics: median, mean, p95, trimmed mean (default: the run’s). Operators: &lt; ≤ &gt; ≥ =.
+      </p>
+    </div>
+  );
+}
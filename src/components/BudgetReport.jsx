@@ -0,0 +1,57 @@
+import React from "react";
+import { budgetJUnit, budgetSummary, describeBudget, describeCheck } from "../budgets";
+import { download } from "../files";
+
+// Pass/fail verdict of one run against the performance budgets, with the
+// broken budgets listed and the JUnit XML / JSON summary exports.
+export default function BudgetReport({ run, report, profile }) {
+  const { passed, checks, failures, skipped } = report;
+  return (
+    <div className="mt-4 bg-gray-900 rounded p-3 text-left text-sm">
+      <div className="flex flex-wrap items-center gap-3 text-gray-300">
+        <span className="font-semibold text-white">Budgets</span>
+        <span
+          className={`px-2 rounded font-bold ${passed ? "bg-green-900/60 text-green-200" : "bg-red-900/60 text-red-200"}`}
+        >
+          {passed ? "PASS" : "FAIL"}
+        </span>
+        <span>
+          {checks.length - failures.length - skipped.length}/{checks.length} checks passed
+          {skipped.length > 0 && `, ${skipped.length} skipped`}
+        </span>
+        <button
+          className="text-blue-300 hover:underline"
+          onClick={() => download(`budgets-${run.id}.xml`, budgetJUnit(run, report), "application/xml")}
+        >
+          JUnit XML
+        </button>
+        <button
+          className="text-blue-300 hover:underline"
+          onClick={() =>
+            download(
+              `budgets-${run.id}.json`,
+              JSON.stringify(budgetSummary(run, report, profile), null, 2),
+              "application/json"
+            )
+          }
+        >
+          JSON summary
+        </button>
+      </div>
+      {failures.length > 0 && (
+        <ul className="list-disc pl-5 mt-2 text-gray-200">
+          {failures.map((c, i) => (
+            <li key={i}>
+              <span className="text-red-300">{describeBudget(c.budget)}</span> — {describeCheck(c)}
+            </li>
+          ))}
+        </ul>
+      )}
+      {skipped.length > 0 && (
+        <p className="text-xs text-gray-400 mt-1">
+          Skipped: {skipped.map((c) => `${describeBudget(c.budget)} (${describeCheck(c)})`).join("; ")}
+        </p>
+      )}
+    </div>
+  );
+}
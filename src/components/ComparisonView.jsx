@@ -0,0 +1,317 @@
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  CartesianGrid,
+  ResponsiveContainer,
+} from "recharts";
+import { COMPARE_METRICS, aggregateEntity, compareEntities, winTally } from "../compare";
+import { describeStrategy } from "../scheduler";
+import { ENVIRONMENT_DIMENSIONS, environmentKey } from "../environment";
+
+const COLORS = ["#60a5fa", "#34d399", "#f59e0b", "#f472b6", "#a78bfa", "#f87171"];
+
+function fmt(v, digits = 1) {
+  return typeof v === "number" && isFinite(v) ? v.toFixed(digits) : "—";
+}
+
+// Side-by-side comparison of computers, environments (e.g. on battery vs
+// plugged in, see environment.js) or individual runs. Works on whatever is in
+// history, including imported runs. `history` holds the runs without their
+// results; `loadResults(runs)` resolves with them attached, and is only
+// called for the picked runs (a rejection is shown with a retry). `siteValues(run)` returns a run's resolved
+// per-site results with a `score`. Only runs that used the same execution
+// strategy are compared with each other.
+export default function ComparisonView({ history: allRuns, loadResults, siteValues }) {
+  const [mode, setMode] = useState("computers"); // "computers" | "environments" | "runs"
+  const [dimension, setDimension] = useState("browser"); // environment grouping in "environments" mode
+  const [picked, setPicked] = useState([]);     // computer names or run ids, in pick order
+  const [chartMetric, setChartMetric] = useState("loadTime");
+  const [strategyKey, setStrategyKey] = useState(""); // "" = strategy of the newest run
+  const [loaded, setLoaded] = useState(new Map());      // run id -> run with results
+  const [loadError, setLoadError] = useState(null);     // message of the last failed load
+  const [loadAttempt, setLoadAttempt] = useState(0);    // bumped by Retry
+
+  const strategies = useMemo(
+    () => [...new Set(allRuns.map((h) => describeStrategy(h.strategy)))],
+    [allRuns]
+  );
+  const activeStrategy = strategies.includes(strategyKey) ? strategyKey : strategies[0];
+  const history = useMemo(
+    () => allRuns.filter((h) => describeStrategy(h.strategy) === activeStrategy),
+    [allRuns, activeStrategy]
+  );
+
+  const computers = useMemo(
+    () => [...new Set(history.map((h) => h.computer || "(unnamed)"))].sort(),
+    [history]
+  );
+
+  const environments = useMemo(
+    () => [...new Set(history.map((h) => environmentKey(h.environment, dimension)))].sort(),
+    [history, dimension]
+  );
+
+  const options =
+    mode === "computers"
+      ? computers.map((c) => ({
+          id: c,
+          label: c,
+          hint: `${history.filter((h) => (h.computer || "(unnamed)") === c).length} runs`,
+        }))
+      : mode === "environments"
+      ? environments.map((key) => ({
+          id: key,
+          label: key,
+          hint: `${history.filter((h) => environmentKey(h.environment, dimension) === key).length} runs`,
+        }))
+      : history.map((h) => ({
+          id: h.id,
+          label: `${h.computer || "(unnamed)"} — ${h.at}`,
+          hint: h.source ? `from ${h.source}` : "",
+        }));
+
+  const groups = picked
+    .map((id) => {
+      const runs =
+        mode === "computers"
+          ? history.filter((h) => (h.computer || "(unnamed)") === id)
+          : mode === "environments"
+          ? history.filter((h) => environmentKey(h.environment, dimension) === id)
+          : history.filter((h) => h.id === id);
+      const option = options.find((o) => o.id === id);
+      return runs.length && option ? { label: option.label, runs } : null;
+    })
+    .filter(Boolean);
+
+  const missing = groups.flatMap((g) => g.runs).filter((h) => !loaded.has(h.id));
+  const missingKey = missing.map((h) => h.id).join(",");
+  useEffect(() => {
+    if (!missing.length) return;
+    let stale = false;
+    setLoadError(null);
+    loadResults(missing)
+      .then((runs) => {
+        if (!stale) setLoaded((old) => new Map([...old, ...runs.map((run) => [run.id, run])]));
+      })
+      .catch((e) => {
+        if (!stale) setLoadError(e?.message || String(e));
+      });
+    return () => {
+      stale = true;
+    };
+  }, [missingKey, loadAttempt]);
+
+  // Compared once every picked run's results are in
+  const entities = missing.length
+    ? []
+    : groups.map((g) => ({ label: g.label, data: aggregateEntity(g.runs.map((h) => loaded.get(h.id)), siteValues) }));
+
+  const rows = entities.length >= 2 ? compareEntities(entities) : [];
+  const { tally, total } = winTally(rows, entities.length);
+  const metric = COMPARE_METRICS.find((m) => m.key === chartMetric);
+  const chartData = [...new Set(rows.map((r) => r.site))].map((site) => {
+    const row = rows.find((r) => r.site === site && r.metric.key === chartMetric);
+    const point = { site: site.replace(/^https?:\/\//, "") };
+    entities.forEach((e, i) => (point[e.label] = row?.values[i] ?? null));
+    return point;
+  });
+
+  function toggle(id) {
+    setPicked((old) => (old.includes(id) ? old.filter((x) => x !== id) : [...old, id]));
+  }
+
+  const input = "border border-gray-700 p-1 rounded bg-gray-900 text-gray-100";
+
+  return (
+    <div className="max-w-5xl mx-auto text-left bg-gray-800 rounded shadow p-4 mt-6">
+      <h3 className="text-lg font-semibold mb-3 text-white">Compare Machines</h3>
+
+      <div className="flex gap-4 text-sm text-gray-300 mb-2">
+        <label className="flex items-center gap-1">
+          Strategy
+          <select
+            className={input}
+            value={activeStrategy}
+            onChange={(e) => {
+              setStrategyKey(e.target.value);
+              setPicked([]);
+            }}
+          >
+            {strategies.map((s) => (
+              <option key={s} value={s}>{s}</option>
+            ))}
+          </select>
+        </label>
+        {[
+          { id: "computers", label: "Computers" },
+          { id: "environments", label: "Environments" },
+          { id: "runs", label: "Individual runs" },
+        ].map((m) => (
+          <label key={m.id} className="flex items-center gap-1">
+            <input
+              type="radio"
+              name="compareMode"
+              checked={mode === m.id}
+              onChange={() => {
+                setMode(m.id);
+                setPicked([]);
+              }}
+            />
+            {m.label}
+          </label>
+        ))}
+        {mode === "environments" && (
+          <select
+            className={input}
+            value={dimension}
+            onChange={(e) => {
+              setDimension(e.target.value);
+              setPicked([]);
+            }}
+          >
+            {ENVIRONMENT_DIMENSIONS.map((d) => (
+              <option key={d.id} value={d.id}>{d.label}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      <div className="max-h-40 overflow-y-auto bg-gray-900 rounded p-2 text-sm text-gray-300">
+        {options.map((o) => (
+          <label key={o.id} className="flex items-center gap-2">
+            <input type="checkbox" checked={picked.includes(o.id)} onChange={() => toggle(o.id)} />
+            {picked.includes(o.id) && (
+              <span
+                className="inline-block w-3 h-3 rounded-sm"
+                style={{ background: COLORS[picked.indexOf(o.id) % COLORS.length] }}
+              />
+            )}
+            <span>{o.label}</span>
+            {o.hint && <span className="text-xs text-gray-500">{o.hint}</span>}
+          </label>
+        ))}
+      </div>
+      <p className="text-xs text-gray-400 mt-1">
+        Pick two or more. The first pick is the baseline for deltas. Computers and environments use
+        the median of all their runs per site.
+      </p>
+      {groups.length >= 2 && missing.length > 0 && (loadError ? (
+        <p className="text-sm text-red-300 mt-4">
+          Could not load the picked runs' results: {loadError}{" "}
+          <button className="text-blue-300 hover:underline" onClick={() => setLoadAttempt((n) => n + 1)}>Retry</button>
+        </p>
+      ) : (
+        <p className="text-sm text-gray-400 mt-4">Loading {missing.length} run{missing.length === 1 ? "" : "s"}…</p>
+      ))}
+
+      {entities.length >= 2 && (
+        <>
+          {/* Overall wins */}
+          <table className="w-full border border-gray-700 text-sm mt-4">
+            <thead>
+              <tr className="bg-gray-700">
+                <th className="px-2 py-1 border border-gray-700">Wins</th>
+                {entities.map((e) => (
+                  <th key={e.label} className="px-2 py-1 border border-gray-700">{e.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {COMPARE_METRICS.map((m) => (
+                <tr key={m.key}>
+                  <td className="px-2 py-1 border border-gray-700">{m.label}</td>
+                  {tally[m.key].map((n, i) => (
+                    <td key={i} className="px-2 py-1 border border-gray-700">{n}</td>
+                  ))}
+                </tr>
+              ))}
+              <tr className="font-semibold">
+                <td className="px-2 py-1 border border-gray-700">Total</td>
+                {total.map((n, i) => (
+                  <td key={i} className="px-2 py-1 border border-gray-700 text-blue-300">{n}</td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+
+          {/* Grouped bars for one metric */}
+          <div className="flex items-center gap-2 mt-4 text-sm text-gray-300">
+            Chart
+            <select className={input} value={chartMetric} onChange={(e) => setChartMetric(e.target.value)}>
+              {COMPARE_METRICS.map((m) => (
+                <option key={m.key} value={m.key}>{m.label} ({m.unit})</option>
+              ))}
+            </select>
+            <span className="text-xs text-gray-500">{metric.better} is better</span>
+          </div>
+          <div className="h-72 mt-2">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="site" />
+                <YAxis />
+                <Tooltip formatter={(v) => fmt(v)} />
+                <Legend />
+                {entities.map((e, i) => (
+                  <Bar key={e.label} dataKey={e.label} fill={COLORS[i % COLORS.length]} />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          {/* Per-site, per-metric detail */}
+          <div className="overflow-x-auto mt-4">
+            <table className="w-full border border-gray-700 text-sm">
+              <thead>
+                <tr className="bg-gray-700">
+                  <th className="px-2 py-1 border border-gray-700">Site</th>
+                  <th className="px-2 py-1 border border-gray-700">Metric</th>
+                  {entities.map((e, i) => (
+                    <th key={e.label} className="px-2 py-1 border border-gray-700">
+                      {e.label}
+                      {i > 0 && <div className="text-xs font-normal text-gray-400">Δ vs {entities[0].label}</div>}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={`${row.site}-${row.metric.key}`}>
+                    <td className="px-2 py-1 border border-gray-700">{row.site}</td>
+                    <td className="px-2 py-1 border border-gray-700">{row.metric.label} ({row.metric.unit})</td>
+                    {row.values.map((v, i) => {
+                      const d = row.deltas[i];
+                      const better =
+                        d && d.diff !== 0 && (row.metric.better === "lower" ? d.diff < 0 : d.diff > 0);
+                      return (
+                        <td
+                          key={i}
+                          className={`px-2 py-1 border border-gray-700 ${row.winner === i ? "bg-green-900/40 font-semibold" : ""}`}
+                        >
+                          {fmt(v)}
+                          {row.winner === i && " 🏆"}
+                          {i > 0 && d && (
+                            <div className={`text-xs ${d.diff === 0 ? "text-gray-400" : better ? "text-green-300" : "text-red-300"}`}>
+                              {d.diff > 0 ? "+" : ""}
+                              {fmt(d.diff)}
+                              {d.pct != null && ` (${d.pct > 0 ? "+" : ""}${d.pct.toFixed(1)}%)`}
+                            </div>
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+import React from "react";
+import { describeResolverResult } from "../resolvers";
+
+// Resolver list editor + DoH diagnostics results (see resolvers.js). The
+// parent persists the settings and runs the diagnostics, both on demand and
+// after a run with slow loads.
+export default function ResolverDiagnostics({
+  text,
+  samples,
+  parsed,
+  hostnames,
+  result,
+  progress,
+  error,
+  onTextChange,
+  onSamplesChange,
+  onRun,
+}) {
+  const busy = !!progress;
+  const input = "border border-gray-700 p-1 rounded bg-gray-900 text-gray-100";
+  return (
+    <div className="max-w-5xl mx-auto text-left bg-gray-800 rounded shadow p-4 mt-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-lg font-semibold text-white">DNS resolver diagnostics</h2>
+        <div className="flex items-center gap-2 text-sm text-gray-300">
+          <label>
+            Samples{" "}
+            <input
+              type="number"
+              min={1}
+              max={50}
+              className={`${input} w-16`}
+              value={samples}
+              onChange={(e) => onSamplesChange(Math.min(50, Math.max(1, Number(e.target.value) || 1)))}
+            />
+          </label>
+          <button
+            className="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 disabled:opacity-40"
+            disabled={busy || !parsed.resolvers.length || parsed.errors.length > 0}
+            onClick={onRun}
+          >
+            {busy ? `Querying… ${progress.done}/${progress.total}` : "Run diagnostics"}
+          </button>
+        </div>
+      </div>
+      <p className="text-sm text-gray-400 mt-1">
+        Resolves {hostnames.join(", ")} through each DNS-over-HTTPS resolver {samples} time{samples === 1 ? "" : "s"}.
+        Also runs by itself after a run where a site loads slower than the load threshold.
+      </p>
+      <textarea
+        rows={5}
+        className="w-full mt-2 border border-gray-700 rounded p-2 font-mono text-sm bg-gray-900 text-gray-100"
+        value={text}
+        onChange={(e) => onTextChange(e.target.value)}
+      />
+      {parsed.errors.length > 0 && (
+        <ul className="text-sm text-red-300 mt-1">
+          {parsed.errors.map((e) => (
+            <li key={e.line}>
+              Line {e.line}: {e.message}
+            </li>
+          ))}
+        </ul>
+      )}
+      <p className="text-xs text-gray-500 mt-1">
+        One DoH endpoint per line, optionally followed by <code>name="…"</code> and <code>format=json</code> (JSON API)
+        or <code>format=message</code> (RFC 8484). Endpoints must allow CORS.
+      </p>
+
+      {error && <p className="text-sm text-red-300 mt-2">Diagnostics failed: {error}</p>}
+
+      {result && (
+        <div className="mt-3">
+          <table className="w-full border border-gray-700 text-sm">
+            <thead>
+              <tr className="bg-gray-700">
+                <th className="px-3 py-2 border border-gray-700 text-left">Resolver</th>
+                <th className="px-3 py-2 border border-gray-700">Median (ms)</th>
+                <th className="px-3 py-2 border border-gray-700">Jitter (ms)</th>
+                <th className="px-3 py-2 border border-gray-700">Failed</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.resolvers.map((r) => (
+                <tr
+                  key={r.id}
+                  className={`border border-gray-700 ${r.id === result.recommended ? "bg-green-900/30" : ""}`}
+                  title={describeResolverResult(r)}
+                >
+                  <td className="px-3 py-2 border border-gray-700">
+                    {r.name}
+                    <div className="text-xs text-gray-400 break-all">{r.url}</div>
+                  </td>
+                  <td className="px-3 py-2 border border-gray-700 text-center font-mono">{r.medianMs ?? "—"}</td>
+                  <td className="px-3 py-2 border border-gray-700 text-center font-mono">{r.jitterMs}</td>
+                  <td className={`px-3 py-2 border border-gray-700 text-center ${r.failures ? "text-red-300" : ""}`}>
+                    {r.failures}/{r.attempts}
+                    {r.lastError && <div className="text-xs text-red-200/80">{r.lastError}</div>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-sm mt-2 text-gray-300">
+            <span className="text-blue-300 font-semibold">Recommended:</span>{" "}
+            {result.resolvers.find((r) => r.id === result.recommended)?.name ??
+              "none (every resolver failed too often)"}
+            <span className="text-xs text-gray-400">
+              {" "}· {result.trigger === "slow-run" ? "after a run with slow loads" : "on demand"},{" "}
+              {new Date(result.at).toLocaleString()}
+            </span>
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
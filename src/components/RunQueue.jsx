@@ -0,0 +1,72 @@
+import React from "react";
+import { describeRunSpec } from "../runQueue";
+import { describeStrategy } from "../scheduler";
+
+// The active run and the runs waiting behind it. Queued runs start on their
+// own when the active one finishes; after a cancel the queue waits for
+// "Start next".
+export default function RunQueue({ active, running, queue, onStartNext, onRemove, onMove, onClear }) {
+  return (
+    <div className="mt-4 bg-gray-900 rounded p-3 text-sm text-gray-300">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold text-white">Run queue</h3>
+        <div className="flex gap-3">
+          {!running && queue.length > 0 && (
+            <button className="text-blue-300 hover:underline" onClick={onStartNext}>
+              Start next
+            </button>
+          )}
+          {queue.length > 0 && (
+            <button className="text-red-300 hover:underline" onClick={onClear}>
+              Clear queue
+            </button>
+          )}
+        </div>
+      </div>
+      {active && (
+        <p className="mt-1">
+          <span className={running ? "text-green-300" : "text-gray-400"}>{running ? "Running:" : "Last:"}</span>{" "}
+          {describeRunSpec(active)}
+        </p>
+      )}
+      {queue.length === 0 ? (
+        <p className="text-gray-400 mt-1">Nothing queued.</p>
+      ) : (
+        <ol className="list-decimal pl-5 mt-1 space-y-1">
+          {queue.map((spec, i) => (
+            <li key={spec.key}>
+              {describeRunSpec(spec)}
+              <span className="text-xs text-gray-500">
+                {" "}
+                · {spec.options.trials} trial{spec.options.trials === 1 ? "" : "s"} ·{" "}
+                {describeStrategy(spec.options.strategy)}
+              </span>
+              <span className="ml-2 inline-flex gap-2 text-xs">
+                <button
+                  className="text-blue-300 hover:underline disabled:opacity-40"
+                  disabled={i === 0}
+                  onClick={() => onMove(spec.key, -1)}
+                >
+                  ↑
+                </button>
+                <button
+                  className="text-blue-300 hover:underline disabled:opacity-40"
+                  disabled={i === queue.length - 1}
+                  onClick={() => onMove(spec.key, 1)}
+                >
+                  ↓
+                </button>
+                <button className="text-red-300 hover:underline" onClick={() => onRemove(spec.key)}>
+                  Remove
+                </button>
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+      <p className="text-xs text-gray-500 mt-2">
+        Queued runs start without a click, so popup mode needs popups allowed for this site.
+      </p>
+    </div>
+  );
+}
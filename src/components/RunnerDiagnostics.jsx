@@ -0,0 +1,77 @@
+import React from "react";
+
+function time(ms) {
+  return ms ? new Date(ms).toLocaleTimeString() : "—";
+}
+
+// What the runners of the current run last reported, and every message the
+// dashboard dropped (foreign origin, wrong nonce, bad schema, …).
+export default function RunnerDiagnostics({ status, dropped, onClear }) {
+  const indexes = Object.keys(status)
+    .map(Number)
+    .sort((a, b) => a - b);
+
+  return (
+    <details className="max-w-5xl mx-auto text-left bg-gray-800 rounded shadow p-4 mt-4 text-sm">
+      <summary className="cursor-pointer text-gray-300">
+        Runner diagnostics
+        {dropped.length > 0 && (
+          <span className="ml-2 text-yellow-300">
+            {dropped.length} dropped message{dropped.length === 1 ? "" : "s"}
+          </span>
+        )}
+      </summary>
+
+      {indexes.length > 0 && (
+        <table className="w-full border border-gray-700 mt-3">
+          <thead>
+            <tr className="bg-gray-700">
+              <th className="px-2 py-1 border border-gray-700">#</th>
+              <th className="px-2 py-1 border border-gray-700">Site</th>
+              <th className="px-2 py-1 border border-gray-700">Stage</th>
+              <th className="px-2 py-1 border border-gray-700">Last message</th>
+            </tr>
+          </thead>
+          <tbody>
+            {indexes.map((i) => {
+              const s = status[i];
+              return (
+                <tr key={i} className={s.error ? "text-red-300" : "text-gray-300"}>
+                  <td className="px-2 py-1 border border-gray-700">{i + 1}</td>
+                  <td className="px-2 py-1 border border-gray-700">{s.site ?? "—"}</td>
+                  <td className="px-2 py-1 border border-gray-700">
+                    {s.error ? `error: ${s.error}` : s.detail || s.stage || "started"}
+                  </td>
+                  <td className="px-2 py-1 border border-gray-700">{time(s.lastSeen)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      <div className="flex items-center justify-between mt-3">
+        <h4 className="font-semibold text-white">Dropped messages</h4>
+        {dropped.length > 0 && (
+          <button className="text-blue-300 hover:underline" onClick={onClear}>
+            Clear
+          </button>
+        )}
+      </div>
+      {dropped.length === 0 ? (
+        <p className="text-gray-400">None.</p>
+      ) : (
+        <ul className="mt-1 space-y-1 text-gray-300">
+          {dropped.map((d, i) => (
+            <li key={i} className="border-b border-gray-700 pb-1">
+              <span className="text-gray-400">{time(d.at)}</span>{" "}
+              <span className="text-yellow-300">{d.reason}</span>{" "}
+              <span className="text-gray-400">from {d.origin || "(opaque origin)"}</span>
+              <div className="font-mono text-xs text-gray-500 break-all">{d.summary}</div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,181 @@
+import React, { useRef, useState } from "react";
+import {
+  BUILTIN_PROFILES,
+  NORMALIZATIONS,
+  SCORED_METRICS,
+  parseProfilesFile,
+  validateProfile,
+} from "../scoring";
+import { download, readTextFile } from "../files";
+
+// Profile picker + editor. Every valid edit is applied immediately through
+// onProfilesChange; persistence is the parent's job. An edit that fails
+// validateProfile (no name, every weight 0) stays a local draft with its
+// problem shown, so an invalid profile is never saved and then dropped on
+// the next load.
+export default function ScoringProfiles({ profiles, activeId, onProfilesChange, onActiveChange }) {
+  const [error, setError] = useState(null);
+  const [draft, setDraft] = useState(null); // { profile, problem }
+  const fileRef = useRef(null);
+  const active = profiles.find((p) => p.id === activeId) || profiles[0];
+  const editing = draft?.profile.id === active.id ? draft : null;
+  const shown = editing ? editing.profile : active;
+
+  function update(patch) {
+    const next = { ...shown, ...patch };
+    try {
+      validateProfile(next);
+    } catch (e) {
+      setDraft({ profile: next, problem: e.message });
+      return;
+    }
+    setDraft(null);
+    onProfilesChange(profiles.map((p) => (p.id === next.id ? next : p)));
+  }
+  function updateMetric(field, key, value, min) {
+    const n = Math.max(min, Number(value) || 0);
+    update({ [field]: { ...shown[field], [key]: n } });
+  }
+
+  function duplicate() {
+    const id = `profile-${Date.now().toString(36)}`;
+    onProfilesChange([...profiles, { ...structuredClone(active), id, name: `${active.name} (copy)` }]);
+    onActiveChange(id);
+  }
+  function remove() {
+    if (profiles.length < 2) return;
+    const rest = profiles.filter((p) => p.id !== active.id);
+    onProfilesChange(rest);
+    onActiveChange(rest[0].id);
+  }
+  function resetBuiltIns() {
+    const custom = profiles.filter((p) => !BUILTIN_PROFILES.some((b) => b.id === p.id));
+    onProfilesChange([...structuredClone(BUILTIN_PROFILES), ...custom]);
+  }
+
+  async function importFile(file) {
+    setError(null);
+    try {
+      const imported = parseProfilesFile(await readTextFile(file));
+      const byId = new Map(profiles.map((p) => [p.id, p]));
+      imported.forEach((p) => byId.set(p.id, p));
+      onProfilesChange([...byId.values()]);
+      if (imported.length) onActiveChange(imported[0].id);
+    } catch (e) {
+      setError(`Import failed: ${e.message}`);
+    }
+  }
+
+  const input = "border border-gray-700 p-1 rounded bg-gray-900 text-gray-100";
+  const button = "bg-gray-700 text-white px-3 py-1 rounded hover:bg-gray-600 text-sm";
+
+  return (
+    <div className="max-w-5xl mx-auto text-left bg-gray-800 rounded shadow p-4 mt-4">
+      <h2 className="text-lg font-semibold mb-2 text-white">Scoring Profile</h2>
+
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <select className={input} value={active.id} onChange={(e) => onActiveChange(e.target.value)}>
+          {profiles.map((p) => (
+            <option key={p.id} value={p.id}>{p.name}</option>
+          ))}
+        </select>
+        <button className={button} onClick={duplicate}>Duplicate</button>
+        <button className={button} onClick={remove} disabled={profiles.length < 2}>Delete</button>
+        <button className={button} onClick={resetBuiltIns}>Restore built-ins</button>
+        <button
+          className={button}
+          onClick={() =>
+            download(
+              `benchmark-profiles-${Date.now()}.json`,
+              JSON.stringify({ version: 1, profiles }, null, 2),
+              "application/json"
+            )
+          }
+        >
+          Export
+        </button>
+        <button className={button} onClick={() => fileRef.current?.click()}>Import</button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={(e) => {
+            if (e.target.files?.[0]) importFile(e.target.files[0]);
+            e.target.value = "";
+          }}
+        />
+      </div>
+
+      {error && <p className="text-sm text-red-300 mb-2">{error}</p>}
+      {editing && (
+        <p className="text-sm text-amber-300 mb-2">
+          {editing.problem} These changes are not saved until it is fixed.
+        </p>
+      )}
+
+      <div className="grid md:grid-cols-2 gap-3 text-sm text-gray-300">
+        <label className="block">
+          Name
+          <input
+            type="text"
+            className={`${input} w-full`}
+            value={shown.name}
+            onChange={(e) => update({ name: e.target.value })}
+          />
+        </label>
+        <label className="block">
+          Normalization
+          <select
+            className={`${input} w-full`}
+            value={shown.normalization}
+            onChange={(e) => update({ normalization: e.target.value })}
+          >
+            {NORMALIZATIONS.map((n) => (
+              <option key={n.id} value={n.id}>{n.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <p className="text-xs text-gray-400 mt-1">
+        {NORMALIZATIONS.find((n) => n.id === shown.normalization)?.description}
+      </p>
+
+      <table className="w-full border border-gray-700 text-sm mt-3">
+        <thead>
+          <tr className="bg-gray-700">
+            <th className="px-2 py-1 border border-gray-700">Metric</th>
+            <th className="px-2 py-1 border border-gray-700">Weight</th>
+            <th className="px-2 py-1 border border-gray-700">Threshold</th>
+          </tr>
+        </thead>
+        <tbody>
+          {SCORED_METRICS.map(({ key, label, unit }) => (
+            <tr key={key}>
+              <td className="px-2 py-1 border border-gray-700">{label} ({unit})</td>
+              <td className="px-2 py-1 border border-gray-700">
+                <input
+                  type="number"
+                  step="0.05"
+                  min={0}
+                  className={`${input} w-24`}
+                  value={shown.weights[key]}
+                  onChange={(e) => updateMetric("weights", key, e.target.value, 0)}
+                />
+              </td>
+              <td className="px-2 py-1 border border-gray-700">
+                <input
+                  type="number"
+                  min={1}
+                  className={`${input} w-24`}
+                  value={shown.thresholds[key]}
+                  onChange={(e) => updateMetric("thresholds", key, e.target.value, 1)}
+                />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,143 @@
+import React, { useRef, useState } from "react";
+import { describeSiteOptions, makeGroup, parseSiteGroupsFile, siteGroupsToJSON } from "../siteGroups";
+import { download, readTextFile } from "../files";
+
+// Site group picker + editor. `groups` includes the read-only built-ins
+// (marked `builtin`); only the others go through onGroupsChange, and
+// persistence is the parent's job. Names are saved trimmed; while the name
+// field is blank the group keeps its previous name, which comes back on blur.
+export default function SiteGroups({ groups, activeId, parsed, onGroupsChange, onActiveChange }) {
+  const [error, setError] = useState(null);
+  const [nameDraft, setNameDraft] = useState(null); // name field text while editing
+  const fileRef = useRef(null);
+  const active = groups.find((g) => g.id === activeId) || groups[0];
+  const editable = groups.filter((g) => !g.builtin);
+
+  function update(patch) {
+    onGroupsChange(editable.map((g) => (g.id === active.id ? { ...g, ...patch } : g)));
+  }
+  function add() {
+    const group = makeGroup("New group");
+    onGroupsChange([...editable, group]);
+    onActiveChange(group.id);
+  }
+  function duplicate() {
+    const group = makeGroup(`${active.name} (copy)`, active.text);
+    onGroupsChange([...editable, group]);
+    onActiveChange(group.id);
+  }
+  function remove() {
+    if (active.builtin || !confirm(`Delete the site group "${active.name}"?`)) return;
+    const rest = editable.filter((g) => g.id !== active.id);
+    onGroupsChange(rest);
+    onActiveChange((rest[0] || groups.find((g) => g.builtin)).id);
+  }
+
+  async function importFile(file) {
+    setError(null);
+    try {
+      const imported = parseSiteGroupsFile(await readTextFile(file));
+      const byId = new Map(editable.map((g) => [g.id, g]));
+      imported.forEach((g) => byId.set(g.id, g));
+      onGroupsChange([...byId.values()]);
+      if (imported.length) onActiveChange(imported[0].id);
+    } catch (e) {
+      setError(`Import failed: ${e.message}`);
+    }
+  }
+
+  const input = "border border-gray-700 p-1 rounded bg-gray-900 text-gray-100";
+  const button = "bg-gray-700 text-white px-3 py-1 rounded hover:bg-gray-600 text-sm disabled:opacity-40";
+  const labelled = parsed.sites.filter((s) => s.label || s.timeoutMs || s.thresholds).length;
+
+  return (
+    <div>
+      <label className="block text-sm font-medium mb-1 text-gray-300">Site group</label>
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <select className={input} value={active.id} onChange={(e) => onActiveChange(e.target.value)}>
+          {groups.map((g) => (
+            <option key={g.id} value={g.id}>
+              {g.name}
+              {g.builtin ? " (built-in)" : ""}
+            </option>
+          ))}
+        </select>
+        <button className={button} onClick={add}>New</button>
+        <button className={button} onClick={duplicate}>Duplicate</button>
+        <button className={button} onClick={remove} disabled={active.builtin}>Delete</button>
+        <button
+          className={button}
+          disabled={!editable.length}
+          onClick={() =>
+            download(
+              `benchmark-site-groups-${Date.now()}.json`,
+              JSON.stringify(siteGroupsToJSON(editable), null, 2),
+              "application/json"
+            )
+          }
+        >
+          Export
+        </button>
+        <button className={button} onClick={() => fileRef.current?.click()}>Import</button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={(e) => {
+            if (e.target.files?.[0]) importFile(e.target.files[0]);
+            e.target.value = "";
+          }}
+        />
+      </div>
+
+      {error && <p className="text-sm text-red-300 mb-2">{error}</p>}
+
+      {!active.builtin && (
+        <input
+          type="text"
+          className={`${input} w-full mb-2 text-sm`}
+          aria-label="Group name"
+          value={nameDraft ?? active.name}
+          onChange={(e) => {
+            setNameDraft(e.target.value);
+            const name = e.target.value.trim();
+            if (name) update({ name });
+          }}
+          onBlur={() => setNameDraft(null)}
+        />
+      )}
+      {nameDraft !== null && !nameDraft.trim() && (
+        <p className="text-sm text-amber-300 mb-2">
+          A site group needs a name; it stays "{active.name}" until you type one.
+        </p>
+      )}
+      {active.note && <p className="text-xs text-gray-400 mb-1">{active.note}</p>}
+      <textarea
+        rows={8}
+        className="border border-gray-700 w-full p-2 rounded font-mono text-sm bg-gray-900 text-gray-100"
+        value={active.text}
+        readOnly={active.builtin}
+        onChange={(e) => update({ text: e.target.value })}
+      />
+      {parsed.errors.length > 0 ? (
+        <ul className="text-sm text-red-300">
+          {parsed.errors.map((e) => (
+            <li key={e.line}>
+              Line {e.line}: {e.message}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-xs text-gray-400">
+          {parsed.sites.length} site{parsed.sites.length === 1 ? "" : "s"}
+          {labelled > 0 && `, ${labelled} with their own settings`}.
+        </p>
+      )}
+      <p className="text-xs text-gray-500 mt-1">
+        One URL per line, optionally followed by <code>label="…"</code>, <code>timeout=20s</code> and per-site
+        thresholds: {describeSiteOptions()}.
+      </p>
+    </div>
+  );
+}
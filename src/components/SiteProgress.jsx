@@ -0,0 +1,113 @@
+import React, { useEffect, useState } from "react";
+import { COLLECTORS } from "../metrics";
+import { HEARTBEAT_INTERVAL_MS } from "../protocol";
+import { isFailed, statusLabel } from "../resultStatus";
+
+const STAGE_LABELS = {
+  opening: "Opening runner",
+  started: "Started",
+  checking: "Checking reachability",
+  ...Object.fromEntries(COLLECTORS.map((c) => [c.id, c.label])),
+  done: "Done",
+  timeout: "Timed out",
+};
+
+// The page-load limit only runs while the runner checks or loads the site
+const TIMED_STAGES = ["checking", "loading"];
+// Warn about a quiet runner well before the dashboard's silence watchdog
+const QUIET_MS = 2 * HEARTBEAT_INTERVAL_MS;
+
+function seconds(ms) {
+  return `${(Math.max(0, ms) / 1000).toFixed(1)} s`;
+}
+
+// One live row per site of the current run: the runner's current stage, time
+// since its runner opened, time left before the page-load timeout and a
+// button to bring its window (or frame) forward. `status` is the dashboard's
+// per-index runner state: { site, stage, detail, openedAt, stageAt, lastSeen,
+// finishedAt, timeoutMs, error }.
+export default function SiteProgress({ sites, siteSettings, status, results, canFocus, onFocus }) {
+  const active = sites.some((_, i) => status[i]?.openedAt && !status[i].finishedAt);
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    if (!active) return;
+    const timer = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, [active]);
+
+  const resultByIndex = new Map(results.map((r) => [r.index, r]));
+  const cell = "px-2 py-1 border border-gray-700";
+
+  return (
+    <table className="w-full border border-gray-700 text-sm mt-3 text-left">
+      <thead>
+        <tr className="bg-gray-700">
+          <th className={cell}>#</th>
+          <th className={cell}>Site</th>
+          <th className={cell}>Stage</th>
+          <th className={cell}>Elapsed</th>
+          <th className={cell}>Time left</th>
+          <th className={cell}></th>
+        </tr>
+      </thead>
+      <tbody>
+        {sites.map((site, i) => {
+          const s = status[i] || {};
+          const result = resultByIndex.get(i);
+          const finished = !!result;
+          const elapsed = s.openedAt ? (s.finishedAt ?? now) - s.openedAt : null;
+          const timed = !finished && TIMED_STAGES.includes(s.stage) && s.timeoutMs;
+          const left = timed ? s.timeoutMs - (now - s.stageAt) : null;
+          const quiet = !finished && s.lastSeen && now - s.lastSeen > QUIET_MS;
+
+          let stage;
+          let tone = "text-gray-300";
+          if (result && isFailed(result)) {
+            stage = `${statusLabel(result.status)}${result.statusDetail ? ` — ${result.statusDetail}` : ""}`;
+            tone = "text-red-300";
+          } else if (result) {
+            stage = "Done";
+            tone = "text-green-300";
+          } else if (!s.openedAt) {
+            stage = "Waiting";
+            tone = "text-gray-500";
+          } else {
+            stage = s.detail || STAGE_LABELS[s.stage] || s.stage;
+            if (quiet || (left != null && left < 3000)) tone = "text-yellow-300";
+          }
+
+          return (
+            <tr key={i} className={tone}>
+              <td className={cell}>{i + 1}</td>
+              <td className={`${cell} break-all`}>
+                {siteSettings?.[site]?.label ? (
+                  <>
+                    {siteSettings[site].label}
+                    <div className="text-xs text-gray-400">{site}</div>
+                  </>
+                ) : (
+                  site
+                )}
+              </td>
+              <td className={cell}>
+                {stage}
+                {quiet && <div className="text-xs">No message for {seconds(now - s.lastSeen)}</div>}
+              </td>
+              <td className={`${cell} font-mono`}>{elapsed == null ? "—" : seconds(elapsed)}</td>
+              <td className={`${cell} font-mono`} title={timed ? "Before this page load times out" : undefined}>
+                {left == null ? "—" : seconds(left)}
+              </td>
+              <td className={cell}>
+                {!finished && s.openedAt && canFocus(i) && (
+                  <button className="text-blue-300 hover:underline" onClick={() => onFocus(i)}>
+                    Focus
+                  </button>
+                )}
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
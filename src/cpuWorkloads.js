@@ -0,0 +1,18 @@
+// ---------- CPU workloads ----------
+// Ids must match the workloads in public/cpu-worker.js ("parallel" is run by
+// the runner itself: one worker per logical core, all hashing at once).
+export const CPU_WORKLOADS = [
+  { id: "hash", label: "Hash", description: "FNV-1a over 4 MB, 8 passes" },
+  { id: "json", label: "JSON", description: "Stringify + parse 10k objects, 5 rounds" },
+  { id: "regex", label: "Regex", description: "Email/date/URL extraction over 20k log lines" },
+  { id: "sort", label: "Sort", description: "Sort 150k doubles (comparator + typed array)" },
+  { id: "typedArray", label: "Typed arrays", description: "200×200 Float64 matrix multiply" },
+  { id: "parallel", label: "Parallel", description: "Hash on every core (navigator.hardwareConcurrency workers)" },
+];
+
+export const DEFAULT_CPU_WORKLOADS = CPU_WORKLOADS.map((w) => w.id);
+
+// The runner's ?workloads= list; every workload when it is absent
+export function parseWorkloads(value) {
+  return (value || DEFAULT_CPU_WORKLOADS.join(",")).split(",").filter(Boolean);
+}
@@ -0,0 +1,130 @@
+// ---------- Environment fingerprint ----------
+// A snapshot of the machine and browser taken when a run starts and stored
+// on the run as `environment`:
+//   { userAgent, browser: { name, version }, platform, hardwareConcurrency,
+//     deviceMemory, connection: { effectiveType, type, rtt, downlink, saveData },
+//     screen: { width, height, pixelRatio }, visibility, focused,
+//     power: { charging, level }, crossOriginIsolated }
+// Fields the browser doesn't expose are null. Runners add their own
+// visibility/focus per site (`environment` on each result), since a popup in
+// a background window gets throttled.
+//
+// ENVIRONMENT_DIMENSIONS turn a snapshot into filter/grouping keys for history.
+
+// Self-contained (no module references) so the headless CLI can pass it to
+// page.evaluate() and take the same snapshot inside its browser.
+export async function captureEnvironment() {
+  const nav = navigator;
+  const brands = nav.userAgentData?.brands || [];
+  const brand = brands.find((b) => !/Not.?A.?Brand|Chromium/i.test(b.brand)) || brands.find((b) => /Chromium/i.test(b.brand));
+  let browser = brand ? { name: brand.brand, version: brand.version } : null;
+  if (!browser) {
+    const ua = nav.userAgent;
+    const m =
+      /(Edg|OPR|Firefox|HeadlessChrome|Chrome)\/(\d+)/.exec(ua) || (/Safari\//.test(ua) && /Version\/(\d+)/.exec(ua));
+    if (m) {
+      const names = { Edg: "Microsoft Edge", OPR: "Opera", HeadlessChrome: "Headless Chrome" };
+      browser = m.length === 3 ? { name: names[m[1]] || m[1], version: m[2] } : { name: "Safari", version: m[1] };
+    }
+  }
+
+  let power = null;
+  try {
+    if (nav.getBattery) {
+      const battery = await nav.getBattery();
+      power = { charging: battery.charging, level: Math.round(battery.level * 100) / 100 };
+    }
+  } catch {
+    // Permissions policy can block the Battery API
+  }
+
+  const c = nav.connection;
+  return {
+    userAgent: nav.userAgent,
+    browser,
+    platform: nav.userAgentData?.platform || nav.platform || null,
+    hardwareConcurrency: nav.hardwareConcurrency ?? null,
+    deviceMemory: nav.deviceMemory ?? null,
+    connection: c
+      ? {
+          effectiveType: c.effectiveType ?? null,
+          type: c.type ?? null,
+          rtt: c.rtt ?? null,
+          downlink: c.downlink ?? null,
+          saveData: c.saveData ?? null,
+        }
+      : null,
+    screen: { width: screen.width, height: screen.height, pixelRatio: window.devicePixelRatio },
+    visibility: document.visibilityState,
+    focused: document.hasFocus(),
+    power,
+    crossOriginIsolated: !!window.crossOriginIsolated,
+  };
+}
+
+function browserKey(env) {
+  return env.browser ? `${env.browser.name} ${env.browser.version}` : "Unknown browser";
+}
+
+function powerKey(env) {
+  if (!env.power) return "Power unknown";
+  return env.power.charging ? "Plugged in" : "On battery";
+}
+
+function connectionKey(env) {
+  const c = env.connection;
+  if (!c) return "Connection unknown";
+  return [c.type, c.effectiveType].filter(Boolean).join(" / ") || "Connection unknown";
+}
+
+function hardwareKey(env) {
+  const cores = env.hardwareConcurrency ? `${env.hardwareConcurrency} cores` : "? cores";
+  const memory = env.deviceMemory ? `${env.deviceMemory} GB` : "? GB";
+  return `${env.platform || "Unknown OS"}, ${cores}, ${memory}`;
+}
+
+// Runs from before snapshots existed get "Not recorded" in every dimension.
+export const ENVIRONMENT_DIMENSIONS = [
+  { id: "browser", label: "Browser", key: browserKey },
+  { id: "power", label: "Power", key: powerKey },
+  { id: "connection", label: "Connection", key: connectionKey },
+  { id: "hardware", label: "Hardware", key: hardwareKey },
+  { id: "fingerprint", label: "Full fingerprint", key: (env) => describeEnvironment(env) },
+];
+
+export function environmentKey(env, dimensionId) {
+  if (!env) return "Not recorded";
+  return ENVIRONMENT_DIMENSIONS.find((d) => d.id === dimensionId).key(env);
+}
+
+// One line for history summaries
+export function describeEnvironment(env) {
+  if (!env) return "Environment not recorded";
+  const parts = [browserKey(env), hardwareKey(env)];
+  if (env.connection) parts.push(connectionKey(env));
+  if (env.power) parts.push(env.power.charging ? "plugged in" : `on battery (${Math.round(env.power.level * 100)}%)`);
+  return parts.join(" · ");
+}
+
+// Flat { label: value } list for detail views and the HTML report
+export function environmentDetails(env) {
+  if (!env) return null;
+  const c = env.connection;
+  const unknown = "not exposed by the browser";
+  return {
+    Browser: browserKey(env),
+    "User agent": env.userAgent,
+    Platform: env.platform ?? unknown,
+    "CPU cores": env.hardwareConcurrency ?? unknown,
+    "Device memory": env.deviceMemory != null ? `${env.deviceMemory} GB (rounded by the browser)` : unknown,
+    Connection: c
+      ? `${connectionKey(env)}, RTT ${c.rtt ?? "?"} ms, downlink ${c.downlink ?? "?"} Mbps${c.saveData ? ", data saver on" : ""}`
+      : unknown,
+    Screen: env.screen ? `${env.screen.width}×${env.screen.height} @${env.screen.pixelRatio}x` : unknown,
+    "Dashboard tab": `${env.visibility}${env.focused ? ", focused" : ", not focused"}`,
+    Power: env.power
+      ? `${env.power.charging ? "Plugged in" : "On battery"}, ${Math.round(env.power.level * 100)}%`
+      : unknown,
+    "Cross-origin isolated": env.crossOriginIsolated ? "yes" : "no",
+  };
+}
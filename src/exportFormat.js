@@ -0,0 +1,272 @@
+// ---------- Export / import format ----------
+// JSON exports are plain run records (one object, or an array for history).
+// CSV exports have one row per site result; run fields are repeated on every
+// row. Both are lossless: numbers are written unrounded, nested values as
+// JSON, and fields this schema doesn't know about travel in the `runExtra` /
+// `resultExtra` JSON columns, so parse(export(runs)) gives back the same runs.
+// The `siteScore` column is for people reading the CSV and is ignored on import.
+// Every registered metric (metrics/) gets a number column.
+import { STATUS_IDS, isFailed } from "./resultStatus.js";
+import { METRICS } from "./metrics/index.js";
+
+const RUN_COLUMNS = [
+  { column: "runId", field: "id", type: "number" },
+  { column: "runAt", field: "at", type: "string" },
+  { column: "computer", field: "computer", type: "string" },
+  { column: "finalScore", field: "finalScore", type: "number" },
+  { column: "seed", field: "seed", type: "string" },
+  { column: "selectionMode", field: "selectionMode", type: "string" },
+  { column: "sampleSize", field: "sampleSize", type: "number" },
+  { column: "siteGroup", field: "siteGroup", type: "string" },
+  { column: "siteSettings", field: "siteSettings", type: "json" },
+  { column: "trials", field: "trials", type: "number" },
+  { column: "warmup", field: "warmup", type: "number" },
+  { column: "statistic", field: "statistic", type: "string" },
+  { column: "workloads", field: "workloads", type: "json" },
+  { column: "strategy", field: "strategy", type: "json" },
+  { column: "throughput", field: "throughput", type: "json" },
+  { column: "profile", field: "profile", type: "json" },
+  { column: "environment", field: "environment", type: "json" },
+  { column: "source", field: "source", type: "string" },
+];
+
+const RESULT_COLUMNS = [
+  { column: "index", field: "index", type: "number" },
+  { column: "site", field: "site", type: "string" },
+  { column: "status", field: "status", type: "string" },
+  { column: "statusDetail", field: "statusDetail", type: "string" },
+  ...METRICS.map((m) => ({ column: m.column, field: m.key, type: "number" })),
+  { column: "cpuWorkloads", field: "cpuWorkloads", type: "json" },
+  { column: "memorySource", field: "memorySource", type: "string" },
+  { column: "timingApproximate", field: "timingApproximate", type: "boolean" },
+  { column: "siteTrials", field: "trials", type: "number" },
+  { column: "siteWarmup", field: "warmup", type: "number" },
+  { column: "siteWorkloads", field: "workloads", type: "json" },
+  { column: "parallelWorkers", field: "parallelWorkers", type: "number" },
+  { column: "runnerEnvironment", field: "environment", type: "json" },
+  { column: "samples", field: "samples", type: "json" },
+];
+
+// ---------- Cell encoding ----------
+// "" = field absent; null is written as the literal "null".
+function encode(value, type) {
+  if (value === undefined) return "";
+  if (value === null) return "null";
+  if (type === "json") return JSON.stringify(value);
+  return String(value);
+}
+
+function decode(cell, type) {
+  if (cell === "") return undefined;
+  if (cell === "null") return null;
+  if (type === "number") {
+    const n = Number(cell);
+    if (Number.isNaN(n)) throw new Error(`"${cell}" is not a number`);
+    return n;
+  }
+  if (type === "boolean") {
+    if (cell !== "true" && cell !== "false") throw new Error(`"${cell}" is not true/false`);
+    return cell === "true";
+  }
+  if (type === "json") return JSON.parse(cell);
+  return cell;
+}
+
+function splitKnown(obj, columns) {
+  const known = {};
+  const extra = {};
+  const fields = new Set(columns.map((c) => c.field));
+  for (const [key, value] of Object.entries(obj)) {
+    if (fields.has(key)) known[key] = value;
+    else extra[key] = value;
+  }
+  return { known, extra };
+}
+
+// `siteScore(run, result)` fills the derived column.
+export function runsToCSVRows(runs, siteScore = () => "") {
+  const rows = [];
+  for (const run of runs) {
+    const { results = [], ...runFields } = run;
+    const { known: runKnown, extra: runExtra } = splitKnown(runFields, RUN_COLUMNS);
+    for (const r of results) {
+      const { known, extra } = splitKnown(r, RESULT_COLUMNS);
+      const row = {};
+      for (const c of RUN_COLUMNS) row[c.column] = encode(runKnown[c.field], c.type);
+      for (const c of RESULT_COLUMNS) row[c.column] = encode(known[c.field], c.type);
+      row.siteScore = siteScore(run, r);
+      row.runExtra = Object.keys(runExtra).length ? JSON.stringify(runExtra) : "";
+      row.resultExtra = Object.keys(extra).length ? JSON.stringify(extra) : "";
+      rows.push(row);
+    }
+  }
+  return rows;
+}
+
+// ---------- CSV parsing ----------
+// RFC 4180: quoted fields, "" escapes, embedded newlines, CRLF or LF.
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell !== ""));
+}
+
+// ---------- Validation ----------
+function isNum(v) {
+  return typeof v === "number" && isFinite(v);
+}
+
+// Returns a reason string, or null when the result is usable.
+function resultProblem(r) {
+  if (!r || typeof r !== "object") return "not an object";
+  if (!isNum(r.index)) return "missing numeric index";
+  if (typeof r.site !== "string" || !r.site) return "missing site";
+  if (r.status != null && !STATUS_IDS.includes(r.status)) return `unknown status "${r.status}"`;
+  // Failed results carry no measurements
+  const failed = isFailed(r);
+  for (const { key, required } of METRICS) {
+    const optional = failed || !required;
+    if (optional ? r[key] != null && !isNum(r[key]) : !isNum(r[key])) return `${key} is not a number`;
+  }
+  if (r.samples !== undefined && !Array.isArray(r.samples)) return "samples is not a list";
+  return null;
+}
+
+function runProblem(run) {
+  if (!run || typeof run !== "object") return "not an object";
+  if (!isNum(run.id)) return "missing numeric run id";
+  if (typeof run.computer !== "string") return "missing computer name";
+  if (!Array.isArray(run.results)) return "missing results list";
+  return null;
+}
+
+// Keeps the valid results of a run; invalid ones are reported as rejected.
+function validateRuns(candidates, rejected) {
+  const runs = [];
+  for (const { run, where } of candidates) {
+    const problem = runProblem(run);
+    if (problem) {
+      rejected.push({ where, reason: problem });
+      continue;
+    }
+    const results = [];
+    run.results.forEach((r, i) => {
+      const reason = resultProblem(r);
+      if (reason) rejected.push({ where: r?.__row ?? `${where}, result ${i + 1}`, reason });
+      else results.push(r);
+    });
+    if (!results.length) {
+      rejected.push({ where, reason: "no valid results" });
+      continue;
+    }
+    runs.push({ ...run, results: results.map(({ __row, ...r }) => r) });
+  }
+  return runs;
+}
+
+function parseJSONImport(text, rejected) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : [data];
+  return validateRuns(
+    list.map((run, i) => ({ run, where: `run ${i + 1}${run?.id != null ? ` (id ${run.id})` : ""}` })),
+    rejected
+  );
+}
+
+function parseCSVImport(text, rejected) {
+  const [header, ...body] = parseCSV(text);
+  if (!header) return [];
+  const col = new Map(header.map((name, i) => [name, i]));
+  if (!col.has("runId")) throw new Error("CSV has no runId column — is this a benchmark export?");
+
+  const byId = new Map();
+  body.forEach((cells, i) => {
+    const where = `row ${i + 2}`;
+    const cell = (name) => (col.has(name) ? cells[col.get(name)] ?? "" : "");
+    try {
+      const run = {};
+      for (const c of RUN_COLUMNS) {
+        const v = decode(cell(c.column), c.type);
+        if (v !== undefined) run[c.field] = v;
+      }
+      if (cell("runExtra")) Object.assign(run, JSON.parse(cell("runExtra")));
+      const result = { __row: where };
+      for (const c of RESULT_COLUMNS) {
+        const v = decode(cell(c.column), c.type);
+        if (v !== undefined) result[c.field] = v;
+      }
+      if (cell("resultExtra")) Object.assign(result, JSON.parse(cell("resultExtra")));
+      if (!isNum(run.id)) {
+        rejected.push({ where, reason: "missing numeric run id" });
+        return;
+      }
+      if (!byId.has(run.id)) byId.set(run.id, { run: { ...run, results: [] }, where });
+      byId.get(run.id).run.results.push(result);
+    } catch (e) {
+      rejected.push({ where, reason: e.message });
+    }
+  });
+  return validateRuns([...byId.values()], rejected);
+}
+
+// Parses one exported file (JSON or CSV, detected from the content).
+// Returns { runs, rejected: [{ where, reason }] }; throws when the file
+// as a whole is unreadable.
+export function parseImport(text) {
+  const rejected = [];
+  const trimmed = text.trim();
+  const runs =
+    trimmed.startsWith("{") || trimmed.startsWith("[")
+      ? parseJSONImport(trimmed, rejected)
+      : parseCSVImport(text, rejected);
+  return { runs, rejected };
+}
+
+// Splits parsed runs into new ones (tagged with `source` when they don't
+// carry one yet) and ids that are already known.
+export function mergeImported(parsed, existingIds, source) {
+  const seen = new Set(existingIds);
+  const accepted = [];
+  const duplicates = [];
+  for (const run of parsed) {
+    if (seen.has(run.id)) {
+      duplicates.push(run.id);
+      continue;
+    }
+    seen.add(run.id);
+    accepted.push(run.source ? run : { ...run, source });
+  }
+  return { accepted, duplicates };
+}
@@ -0,0 +1,63 @@
+import { describe, expect, it } from "vitest";
+import { mergeImported, parseImport, runsToCSVRows } from "./exportFormat.js";
+import { toCSV } from "./files.js";
+
+const run = {
+  id: 1760000000000,
+  at: "10/9/2025, 10:00:00 AM",
+  computer: "Desk, \"main\"",
+  finalScore: 612,
+  trials: 2,
+  warmup: 1,
+  statistic: "median",
+  workloads: ["hash", "json"],
+  strategy: { mode: "sequential" },
+  throughput: null,
+  siteSettings: {},
+  environment: { browser: "Firefox", cores: 8 },
+  customNote: "travels in runExtra",
+  results: [
+    {
+      index: 0,
+      site: "https://a.example/?q=1,2",
+      status: "ok",
+      loadTime: 812.25,
+      cpuTime: 301.5,
+      networkLatency: 99.125,
+      memoryUsage: null,
+      cpuWorkloads: { hash: 150.5, json: 151 },
+      timingApproximate: false,
+      samples: [{ loadTime: 800 }, { loadTime: 824.5 }],
+      environment: { visibility: "visible", focused: true, hiddenDuringRun: false },
+    },
+    { index: 1, site: "https://b.example", status: "timeout", statusDetail: "line one\nline two", loadTime: null },
+  ],
+};
+
+describe("export/import round trip", () => {
+  it("gives back the same runs from JSON", () => {
+    const { runs, rejected } = parseImport(JSON.stringify([run], null, 2));
+    expect(rejected).toEqual([]);
+    expect(runs).toEqual([run]);
+  });
+
+  it("gives back the same runs from CSV", () => {
+    const { runs, rejected } = parseImport(toCSV(runsToCSVRows([run], () => 612)));
+    expect(rejected).toEqual([]);
+    expect(runs).toEqual([run]);
+  });
+
+  it("rejects invalid results and keeps the rest", () => {
+    const broken = { ...run, results: [...run.results, { index: 2, site: "https://c.example", status: "ok", loadTime: "fast" }] };
+    const { runs, rejected } = parseImport(JSON.stringify(broken));
+    expect(runs[0].results).toHaveLength(2);
+    expect(rejected).toEqual([expect.objectContaining({ reason: "loadTime is not a number" })]);
+  });
+
+  it("tags new runs with their source and reports known ids", () => {
+    const other = { ...run, id: 2 };
+    const { accepted, duplicates } = mergeImported([run, other], [run.id], "history.json");
+    expect(duplicates).toEqual([run.id]);
+    expect(accepted).toEqual([{ ...other, source: "history.json" }]);
+  });
+});
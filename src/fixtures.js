@@ -0,0 +1,28 @@
+// ---------- Local fixture sites ----------
+// Pages served by `npm run fixtures` (fixtures/server.js). Together they give
+// a deterministic baseline and hit every failure status on purpose. The
+// origin can be changed with VITE_FIXTURE_ORIGIN.
+
+// import.meta.env only exists under Vite; the CLI passes its own origin.
+export const FIXTURE_ORIGIN = import.meta.env?.VITE_FIXTURE_ORIGIN || "http://localhost:5174";
+
+export const FIXTURE_PAGES = [
+  { path: "/page?size=10&assets=2", label: "Small page" },
+  { path: "/page?size=200&assets=10&delay=50", label: "Medium page" },
+  { path: "/page?size=1000&assets=40&delay=100", label: "Heavy page" },
+  { path: "/page?size=20&assets=2&redirects=3", label: "Three redirects" },
+  { path: "/page?size=20&assets=2&delay=1500", label: "Slow server" },
+  { path: "/page?frame=deny", label: "Refuses framing (frame-refused)" },
+  { path: "/page?delay=20000", label: "Never loads in time (timeout)" },
+];
+
+// The network-error path needs a port nothing listens on. Low well-known
+// ports (like 9, discard) are on the browsers' unsafe-port list and fail
+// with a blocked request instead, so the fixture server reserves this one
+// next to its own and never binds it.
+export const UNREACHABLE_PORT = 5199;
+export const UNREACHABLE_FIXTURE = `http://localhost:${UNREACHABLE_PORT}/`;
+
+export function fixtureSites(origin = FIXTURE_ORIGIN) {
+  return [...FIXTURE_PAGES.map((p) => `${origin}${p.path}`), UNREACHABLE_FIXTURE];
+}
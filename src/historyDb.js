@@ -0,0 +1,187 @@
+// ---------- Run history (IndexedDB) ----------
+// Stores:
+//   runs         one record per run, without its results       (key: id)
+//   siteResults  one record per site result, tagged with runId (key: [runId, index])
+//   meta         small key/value flags, e.g. the legacy migration marker
+// Every function rejects on storage errors; callers decide how to surface them.
+
+const DB_NAME = "benchmark";
+const DB_VERSION = 1;
+const LEGACY_HISTORY_KEY = "benchmark_history_v1";
+
+export const RETENTION_MODES = [
+  { id: "unlimited", label: "All runs" },
+  { id: "count", label: "Last N runs" },
+  { id: "days", label: "Last N days" },
+];
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+let dbPromise = null;
+function openDb() {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      // Version 1: initial schema. Future versions add cases keyed on event.oldVersion.
+      if (!db.objectStoreNames.contains("runs")) {
+        db.createObjectStore("runs", { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains("siteResults")) {
+        const store = db.createObjectStore("siteResults", { keyPath: ["runId", "index"] });
+        store.createIndex("runId", "runId");
+      }
+      if (!db.objectStoreNames.contains("meta")) {
+        db.createObjectStore("meta", { keyPath: "key" });
+      }
+    };
+    dbPromise = promisify(request).catch((e) => {
+      dbPromise = null;
+      throw e;
+    });
+  }
+  return dbPromise;
+}
+
+function writeRun(tx, run) {
+  const { results = [], ...meta } = run;
+  const runs = tx.objectStore("runs");
+  const siteResults = tx.objectStore("siteResults");
+  runs.put(meta);
+  siteResults.delete(IDBKeyRange.bound([run.id, -Infinity], [run.id, Infinity]));
+  results.forEach((r) => siteResults.put({ ...r, runId: run.id }));
+}
+
+// Walks a cursor request; `step(cursor)` returns false to stop early.
+function walk(request, step) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || step(cursor) === false) resolve();
+      else cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run ids are their start time, so walking the runs store backwards lists
+// the newest first.
+function newestFirst(db) {
+  return db.transaction("runs", "readonly").objectStore("runs").openCursor(null, "prev");
+}
+
+// Every run record, newest first, without its results: enough for the run
+// list, its filters, the trend of recorded scores and retention.
+export async function loadRunSummaries() {
+  const db = await openDb();
+  const runs = [];
+  await walk(newestFirst(db), (cursor) => {
+    runs.push(cursor.value);
+  });
+  return runs;
+}
+
+// One page of the run list, newest first, with results. `match` narrows the
+// list (the history filter) before it is paged.
+export async function loadRunPage({ offset = 0, limit, match = () => true }) {
+  const db = await openDb();
+  const runs = [];
+  let skipped = 0;
+  await walk(newestFirst(db), (cursor) => {
+    if (!match(cursor.value)) return true;
+    if (skipped < offset) {
+      skipped++;
+      return true;
+    }
+    runs.push(cursor.value);
+    return runs.length < limit;
+  });
+  return withResults(runs);
+}
+
+// The given runs (e.g. summaries) with their results re-attached, sorted by
+// index; results are read per run from the siteResults key range.
+export async function withResults(runs) {
+  if (!runs.length) return [];
+  const db = await openDb();
+  const store = db.transaction("siteResults", "readonly").objectStore("siteResults");
+  const results = await Promise.all(
+    runs.map(({ id }) => promisify(store.getAll(IDBKeyRange.bound([id, -Infinity], [id, Infinity]))))
+  );
+  return runs.map((run, i) => ({ ...run, results: results[i] }));
+}
+
+// Every run with its results, newest first (exports).
+export async function loadRuns() {
+  return withResults(await loadRunSummaries());
+}
+
+export async function saveRun(run) {
+  const db = await openDb();
+  const tx = db.transaction(["runs", "siteResults"], "readwrite");
+  writeRun(tx, run);
+  await done(tx);
+}
+
+export async function deleteRun(id) {
+  const db = await openDb();
+  const tx = db.transaction(["runs", "siteResults"], "readwrite");
+  tx.objectStore("runs").delete(id);
+  tx.objectStore("siteResults").delete(IDBKeyRange.bound([id, -Infinity], [id, Infinity]));
+  await done(tx);
+}
+
+// Deletes runs outside the policy, except the ids in `keep` (pinned
+// baselines); resolves with the ids that were removed.
+export async function applyRetention({ mode, value }, keep = []) {
+  if (mode === "unlimited" || !(value > 0)) return [];
+  const runs = await loadRunSummaries();
+  const cutoff = Date.now() - value * 24 * 60 * 60 * 1000;
+  const doomed = (mode === "count" ? runs.slice(value) : runs.filter((run) => run.id < cutoff)).filter(
+    (run) => !keep.includes(run.id)
+  );
+  for (const run of doomed) await deleteRun(run.id);
+  return doomed.map((run) => run.id);
+}
+
+// One-time copy of the old localStorage blob into IndexedDB. The legacy key
+// is only removed once every run has been written; a corrupt blob rejects
+// and is left in place so nothing is lost.
+export async function migrateLegacyHistory() {
+  const db = await openDb();
+  const flag = await promisify(
+    db.transaction("meta", "readonly").objectStore("meta").get("legacyHistoryMigrated")
+  );
+  if (flag) return 0;
+
+  const raw = localStorage.getItem(LEGACY_HISTORY_KEY);
+  let runs = [];
+  if (raw) {
+    try {
+      runs = JSON.parse(raw);
+    } catch (e) {
+      throw new Error(`Old history in localStorage is corrupt and was not migrated (${e.message}).`);
+    }
+    if (!Array.isArray(runs)) runs = [];
+  }
+
+  const tx = db.transaction(["runs", "siteResults", "meta"], "readwrite");
+  runs.filter((run) => run && run.id != null).forEach((run) => writeRun(tx, run));
+  tx.objectStore("meta").put({ key: "legacyHistoryMigrated", at: Date.now(), count: runs.length });
+  await done(tx);
+  localStorage.removeItem(LEGACY_HISTORY_KEY);
+  return runs.length;
+}
@@ -0,0 +1,13 @@
+// ---------- Connect time ----------
+// connectEnd − connectStart, so the TLS handshake is included; 0 on a reused
+// connection.
+import { networkCollector } from "./networkLatency.js";
+
+export default {
+  key: "connectTime",
+  label: "Connect",
+  unit: "ms",
+  better: "lower",
+  collector: networkCollector,
+  aliases: ["connect"],
+};
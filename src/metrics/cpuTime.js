@@ -0,0 +1,76 @@
+// ---------- CPU time ----------
+// Sum of the enabled CPU workloads (cpuWorkloads.js); the runner also
+// reports each workload's own time as `cpuWorkloads`.
+import { parseWorkloads } from "../cpuWorkloads.js";
+
+// Workloads run in dedicated workers (see /cpu-worker.js), off the runner
+// page's main thread and away from the site frame.
+function runInWorker(worker, workload, scale = 1) {
+  return new Promise((resolve, reject) => {
+    worker.onmessage = (e) => (e.data.error ? reject(new Error(e.data.error)) : resolve(e.data));
+    worker.onerror = (e) => reject(e);
+    worker.postMessage({ workload, scale });
+  });
+}
+
+function parallelWorkers() {
+  return Math.max(1, navigator.hardwareConcurrency || 1);
+}
+
+// Same hash chunk on every logical core at once; reports wall-clock time.
+// Workers are pinged first so script start-up is not part of the timing.
+async function runParallel() {
+  const workers = Array.from({ length: parallelWorkers() }, () => new Worker("/cpu-worker.js"));
+  try {
+    await Promise.all(workers.map((w) => runInWorker(w, "ping")));
+    const t0 = performance.now();
+    await Promise.all(workers.map((w) => runInWorker(w, "hash", 0.25)));
+    return performance.now() - t0;
+  } finally {
+    workers.forEach((w) => w.terminate());
+  }
+}
+
+let worker = null;
+
+export const cpuCollector = {
+  id: "cpu",
+  label: "CPU test",
+  order: 10,
+  async collect({ params }) {
+    worker ??= new Worker("/cpu-worker.js");
+    const cpuWorkloads = {};
+    for (const id of parseWorkloads(params.get("workloads"))) {
+      cpuWorkloads[id] = id === "parallel" ? await runParallel() : (await runInWorker(worker, id)).ms;
+    }
+    const cpuTime = Object.values(cpuWorkloads).reduce((a, b) => a + b, 0);
+    return { cpuTime, cpuWorkloads };
+  },
+  summarize(samples, median) {
+    const cpuWorkloads = {};
+    for (const id of Object.keys(samples[0].cpuWorkloads)) {
+      cpuWorkloads[id] = median(samples.map((s) => s.cpuWorkloads[id]));
+    }
+    return { cpuWorkloads };
+  },
+  resultFields: () => ({ parallelWorkers: parallelWorkers() }),
+  dispose() {
+    worker?.terminate();
+    worker = null;
+  },
+};
+
+export default {
+  key: "cpuTime",
+  label: "CPU",
+  unit: "ms",
+  better: "lower",
+  collector: cpuCollector,
+  required: true,
+  threshold: 800,
+  weight: 0.24,
+  siteOption: "cpu",
+  aliases: ["cpu"],
+  description:
+    "Sum of the enabled CPU workloads (hash, JSON, regex, sort, typed arrays, parallel), each run in a Web Worker (lower is better).",
+};
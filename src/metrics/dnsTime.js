@@ -0,0 +1,14 @@
+// ---------- DNS lookup ----------
+// domainLookupEnd − domainLookupStart of the network probe's Resource Timing
+// entry; 0 when the name was already cached, null when the site hides its
+// timings.
+import { networkCollector } from "./networkLatency.js";
+
+export default {
+  key: "dnsTime",
+  label: "DNS",
+  unit: "ms",
+  better: "lower",
+  collector: networkCollector,
+  aliases: ["dns"],
+};
@@ -0,0 +1,111 @@
+// ---------- Download speed ----------
+// Rate of the largest throughput-endpoint download that completed (64 KB up
+// to 16 MB, stopping once one takes a second). Only measured when the run
+// has a throughput endpoint.
+//
+// Its collector measures all four throughput metrics against the endpoint
+// in ?throughput= (fixtures/throughput.js; the dev server has one at
+// /__throughput): latency pings for jitter, then downloads (and with
+// ?upload=1 uploads) of growing size until one takes long enough to be a
+// fair sample. A request that errors, times out or comes back short counts
+// as lost, like a dropped packet.
+const PING_COUNT = 5;
+const TRANSFER_SIZES = [64 * 1024, 256 * 1024, 1024 * 1024, 4 * 1024 * 1024, 16 * 1024 * 1024];
+const LONG_ENOUGH_MS = 1000;
+const TRANSFER_TIMEOUT_MS = 10000;
+let uploadPayload = null;
+
+// Elapsed ms, or null when the request was lost
+async function timedTransfer(endpoint, bytes, upload) {
+  const url = new URL(endpoint);
+  url.searchParams.set("bytes", String(upload ? 0 : bytes));
+  url.searchParams.set("nocache", Math.random().toString(36).slice(2));
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TRANSFER_TIMEOUT_MS);
+  const init = { cache: "no-store", signal: controller.signal };
+  if (upload) {
+    if (!uploadPayload) {
+      // Random bytes, so nothing on the way can compress them
+      uploadPayload = new Uint8Array(TRANSFER_SIZES[TRANSFER_SIZES.length - 1]);
+      for (let i = 0; i < uploadPayload.length; i += 65536) {
+        crypto.getRandomValues(uploadPayload.subarray(i, i + 65536));
+      }
+    }
+    Object.assign(init, { method: "POST", body: uploadPayload.subarray(0, bytes) });
+  }
+  const t0 = performance.now();
+  try {
+    const res = await fetch(url.href, init);
+    const received = (await res.arrayBuffer()).byteLength;
+    if (!res.ok || (!upload && received !== bytes)) return null;
+    return performance.now() - t0;
+  } catch (e) {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export const throughputCollector = {
+  id: "throughput",
+  label: "Throughput test",
+  order: 30,
+  enabled: (params) => params.has("throughput"),
+  async collect({ params }) {
+    const endpoint = new URL(params.get("throughput"), location.href).href;
+    let attempts = 0;
+    let lost = 0;
+    async function attempt(bytes, upload) {
+      attempts++;
+      const ms = await timedTransfer(endpoint, bytes, upload);
+      if (ms == null) lost++;
+      return ms;
+    }
+
+    // Jitter: mean absolute difference between consecutive round trips
+    const rtts = [];
+    for (let i = 0; i < PING_COUNT; i++) {
+      const ms = await attempt(0, false);
+      if (ms != null) rtts.push(ms);
+    }
+    let latencyJitter = null;
+    if (rtts.length > 1) {
+      let sum = 0;
+      for (let i = 1; i < rtts.length; i++) sum += Math.abs(rtts[i] - rtts[i - 1]);
+      latencyJitter = sum / (rtts.length - 1);
+    }
+
+    // Megabits per second of the largest transfer that completed
+    async function rate(upload) {
+      let mbps = null;
+      for (const bytes of TRANSFER_SIZES) {
+        const ms = await attempt(bytes, upload);
+        if (ms == null) break;
+        mbps = (bytes * 8) / (Math.max(ms, 0.1) * 1000);
+        if (ms >= LONG_ENOUGH_MS) break;
+      }
+      return mbps;
+    }
+    const downloadMbps = await rate(false);
+    const uploadMbps = params.get("upload") === "1" ? await rate(true) : null;
+
+    return { downloadMbps, uploadMbps, latencyJitter, transferLoss: (lost / attempts) * 100 };
+  },
+};
+
+export default {
+  key: "downloadMbps",
+  label: "Download speed",
+  shortLabel: "Down",
+  unit: "Mbps",
+  better: "higher",
+  collector: throughputCollector,
+  threshold: 25,
+  weight: 0.08,
+  linearRelative: true,
+  siteOption: "down",
+  aliases: ["down", "bandwidth"],
+  hideWhenEmpty: true,
+  description:
+    "With a throughput endpoint set, every trial downloads payloads of 64 KB up to 16 MB from it until one takes a second (higher is better). The throughput metrics make up a fifth of the Default profile's weight and more of the Network-focused one's.",
+};
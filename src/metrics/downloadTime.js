@@ -0,0 +1,13 @@
+// ---------- Download time ----------
+// responseEnd − responseStart of the probe. Not to be confused with the
+// throughput stage's download speed (downloadMbps.js).
+import { networkCollector } from "./networkLatency.js";
+
+export default {
+  key: "downloadTime",
+  label: "Download",
+  unit: "ms",
+  better: "lower",
+  collector: networkCollector,
+  aliases: ["download"],
+};
@@ -0,0 +1,113 @@
+// ---------- Metric registry ----------
+// Every measured metric is one module in this directory. The runner's
+// payload schema (protocol.js), trial statistics, scoring, budgets, site
+// group thresholds, exports, the result tables, charts and the legend are all
+// generated from METRICS. A metric module declares:
+//   key            field on samples and results; also its export column,
+//                  unless `column` names another
+//   label          tables, budgets ("load p95 < 1200ms"), profiles, legend
+//   shortLabel     compact history tables (default: label)
+//   unit, better   "lower" or "higher"
+//   collector      runner stage that measures it (see below)
+//   required       an ok result must have it; the rest may be null
+//   threshold      makes the metric scored: the default threshold for amber
+//                  highlighting and the non-linear normalizations
+//   weight         its weight in the Default profile (other builtin profiles
+//                  give it 0 unless they list it)
+//   linearRelative the linear normalization counts it as 1000·v/t (1000 at
+//                  its threshold) instead of its raw value, for units that
+//                  don't compare with milliseconds
+//   siteOption     per-site threshold setting in site groups ("load=1500")
+//   aliases        more names budgets accept
+//   hideWhenEmpty  only show its column when some result has a value
+//   table          false keeps it out of the result tables
+//   format(v)      display text (default: fixed decimals)
+//   annotate(r)    { prefix, title } for a measured cell
+//   missing        { text, title } for a cell the browser couldn't measure
+//   description    its Legend entry
+//
+// A collector is exported by the metric module that owns it; metrics
+// measured by the same stage import it from there (networkLatency.js,
+// downloadMbps.js). The runner page (benchmarkPage.js) runs every collector
+// in COLLECTORS on each trial, after loading the site. A collector has:
+//   id, label      progress stage and its label (protocol.js, SiteProgress)
+//   order          position in the trial; the stages run in ascending order
+//   enabled(params)  false skips it for this run (default: always runs)
+//   collect(ctx)   sample fields: its metrics' keys plus side fields
+//                  (cpuWorkloads, …). ctx is { site, url, params, frame }:
+//                  the site as given, its absolute URL, the runner page's
+//                  query parameters and the loaded site frame.
+//   summarize(samples, median)  the side fields' summary over the trials
+//                  (metric fields are summarized by their median)
+//   resultFields(params)  more fields for a measured result
+//   dispose()      releases what it kept between trials (workers)
+// The collector of loadTime has no collect(): the runner page loads the
+// frame itself. A new measurement's side fields also need a check in
+// protocol.js's SAMPLE_SCHEMA.
+import loadTime from "./loadTime.js";
+import cpuTime from "./cpuTime.js";
+import networkLatency from "./networkLatency.js";
+import memoryUsage from "./memoryUsage.js";
+import dnsTime from "./dnsTime.js";
+import connectTime from "./connectTime.js";
+import tlsTime from "./tlsTime.js";
+import ttfb from "./ttfb.js";
+import downloadTime from "./downloadTime.js";
+import redirectTime from "./redirectTime.js";
+import redirected from "./redirected.js";
+import downloadMbps from "./downloadMbps.js";
+import uploadMbps from "./uploadMbps.js";
+import latencyJitter from "./latencyJitter.js";
+import transferLoss from "./transferLoss.js";
+
+// In display order
+export const METRICS = [
+  loadTime,
+  cpuTime,
+  networkLatency,
+  memoryUsage,
+  dnsTime,
+  connectTime,
+  tlsTime,
+  ttfb,
+  downloadTime,
+  redirectTime,
+  redirected,
+  downloadMbps,
+  uploadMbps,
+  latencyJitter,
+  transferLoss,
+].map((m) => ({ aliases: [], column: m.key, shortLabel: m.label, ...m }));
+
+export const SCORED_METRICS = METRICS.filter((m) => m.threshold != null);
+export const REQUIRED_METRICS = METRICS.filter((m) => m.required);
+
+// Every metric's collector once, in trial order
+export const COLLECTORS = [...new Set(METRICS.map((m) => m.collector))].sort((a, b) => a.order - b.order);
+
+export function metricByKey(key) {
+  return METRICS.find((m) => m.key === key);
+}
+
+function isNum(v) {
+  return typeof v === "number" && isFinite(v);
+}
+
+// "—" for a value that is missing (older history, or hidden by the browser)
+export function formatMetric(metric, v, digits = 2) {
+  if (!isNum(v)) return "—";
+  return metric.format ? metric.format(v) : v.toFixed(digits);
+}
+
+// "Load (ms)", "Redirected"
+export function metricHeading(metric, label = metric.label) {
+  return metric.unit ? `${label} (${metric.unit})` : label;
+}
+
+// Table columns for a set of results: hideWhenEmpty metrics (throughput)
+// only when one of the results measured them.
+export function tableMetrics(rows) {
+  return METRICS.filter(
+    (m) => m.table !== false && (!m.hideWhenEmpty || rows.some((r) => r[m.key] != null))
+  );
+}
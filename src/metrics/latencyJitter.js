@@ -0,0 +1,19 @@
+// ---------- Jitter ----------
+// Mean absolute difference between consecutive round trips of the throughput
+// stage's five pings (RFC 3550 style).
+import { throughputCollector } from "./downloadMbps.js";
+
+export default {
+  key: "latencyJitter",
+  label: "Jitter",
+  unit: "ms",
+  better: "lower",
+  collector: throughputCollector,
+  threshold: 30,
+  weight: 0.05,
+  linearRelative: true,
+  siteOption: "jitter",
+  aliases: ["jitter"],
+  hideWhenEmpty: true,
+  description: "Mean change between consecutive round trips of five pings to the throughput endpoint.",
+};
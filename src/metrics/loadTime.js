@@ -0,0 +1,21 @@
+// ---------- Load time ----------
+// From setting the runner frame's src to its onload event.
+
+// The runner page loads the frame itself (it owns the frame's timeout and
+// the blank-frame check, and the other collectors measure the loaded page),
+// so this collector only names the stage.
+export const loadCollector = { id: "loading", label: "Loading page", order: 0 };
+
+export default {
+  key: "loadTime",
+  label: "Load",
+  unit: "ms",
+  better: "lower",
+  collector: loadCollector,
+  required: true,
+  threshold: 1000,
+  weight: 0.32,
+  siteOption: "load",
+  aliases: ["load"],
+  description: "Time to fully load the page (measured via the runner frame's onload event).",
+};
@@ -0,0 +1,53 @@
+// ---------- Memory usage ----------
+// measureUserAgentSpecificMemory() when cross-origin isolated, else the
+// Chromium JS heap size; null where neither exists, with the source in
+// `memorySource`. A missing value is left out of the score, never 0 MB.
+
+const MB = 1024 * 1024;
+const MEMORY_TIMEOUT_MS = 8000;
+
+// Best source first:
+//  1. performance.measureUserAgentSpecificMemory() — needs cross-origin
+//     isolation (run the dashboard with `npm run dev:isolated`). It waits
+//     for a GC, so it is raced against a timeout.
+//  2. performance.memory.usedJSHeapSize (Chromium only).
+//  3. null + "unavailable": never 0, which would score as perfect.
+// Runs last, after the other collectors.
+export const memoryCollector = {
+  id: "memory",
+  label: "Memory",
+  order: 90,
+  async collect() {
+    if (window.crossOriginIsolated && performance.measureUserAgentSpecificMemory) {
+      try {
+        const result = await Promise.race([
+          performance.measureUserAgentSpecificMemory(),
+          new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), MEMORY_TIMEOUT_MS)),
+        ]);
+        return { memoryUsage: result.bytes / MB, memorySource: "measureUserAgentSpecificMemory" };
+      } catch (e) { /* fall through to performance.memory */ }
+    }
+    if (performance.memory && performance.memory.usedJSHeapSize) {
+      return { memoryUsage: performance.memory.usedJSHeapSize / MB, memorySource: "performance.memory" };
+    }
+    return { memoryUsage: null, memorySource: "unavailable" };
+  },
+  summarize: (samples) => ({ memorySource: samples[0].memorySource }),
+};
+
+export default {
+  key: "memoryUsage",
+  label: "Memory",
+  shortLabel: "Mem",
+  unit: "MB",
+  better: "lower",
+  collector: memoryCollector,
+  threshold: 400,
+  weight: 0.08,
+  siteOption: "mem",
+  aliases: ["memory", "mem"],
+  annotate: (r) => ({ title: r.memorySource }),
+  missing: { text: "n/a", title: "No memory API available in this browser" },
+  description:
+    "measureUserAgentSpecificMemory() when cross-origin isolated (npm run dev:isolated), else the Chromium JS heap size. Browsers with neither show n/a, and memory is left out of their score.",
+};
@@ -0,0 +1,81 @@
+// ---------- Network latency ----------
+// Round trip of one no-cors fetch of the site. With Resource Timing details
+// it is responseEnd − startTime; when the site hides them (no
+// Timing-Allow-Origin) the runner falls back to wall-clock time and sets
+// `timingApproximate`. Its collector also measures the Resource Timing
+// breakdown metrics (dnsTime.js … redirected.js).
+
+async function probe(url) {
+  const t0 = performance.now();
+  try {
+    await fetch(url, { mode: "no-cors", cache: "no-store" });
+  } catch (e) { /* expected for many sites due to CORS */ }
+  const elapsed = performance.now() - t0;
+  const entry = performance
+    .getEntriesByName(url, "resource")
+    .filter((e) => e.startTime >= t0 - 1)
+    .pop();
+  return { elapsed, entry };
+}
+
+// Cross-origin responses without a Timing-Allow-Origin header report zeros
+// for everything between startTime and responseEnd, so requestStart === 0
+// means "hidden".
+function breakdown(entry) {
+  if (!entry || !entry.requestStart) return null;
+  return {
+    networkLatency: entry.responseEnd - entry.startTime,
+    dnsTime: entry.domainLookupEnd - entry.domainLookupStart,
+    connectTime: entry.connectEnd - entry.connectStart,
+    tlsTime: entry.secureConnectionStart > 0 ? entry.connectEnd - entry.secureConnectionStart : 0,
+    ttfb: entry.responseStart - entry.requestStart,
+    downloadTime: entry.responseEnd - entry.responseStart,
+    redirectTime: entry.redirectEnd - entry.redirectStart,
+    redirected: entry.redirectEnd > entry.redirectStart ? 1 : 0,
+  };
+}
+
+export const networkCollector = {
+  id: "network",
+  label: "Network test",
+  order: 20,
+  // With a single retry
+  async collect({ url }) {
+    let sample = await probe(url);
+    if (!isFinite(sample.elapsed) || sample.elapsed <= 0) {
+      sample = await probe(url);
+    }
+    const timing = breakdown(sample.entry) || {
+      networkLatency: sample.elapsed,
+      dnsTime: null,
+      connectTime: null,
+      tlsTime: null,
+      ttfb: null,
+      downloadTime: null,
+      redirectTime: null,
+      redirected: null,
+    };
+    return { ...timing, timingApproximate: !sample.entry || !sample.entry.requestStart };
+  },
+  summarize: (samples) => ({ timingApproximate: samples.some((s) => s.timingApproximate) }),
+};
+
+export default {
+  key: "networkLatency",
+  label: "Network",
+  shortLabel: "Net",
+  unit: "ms",
+  better: "lower",
+  collector: networkCollector,
+  required: true,
+  threshold: 500,
+  weight: 0.16,
+  siteOption: "net",
+  aliases: ["network", "net", "latency"],
+  annotate: (r) =>
+    r.timingApproximate
+      ? { prefix: "≈", title: "Approximate: timing details hidden by the site (no Timing-Allow-Origin)" }
+      : null,
+  description:
+    "HTTP round-trip to the site (no-cors). DNS, Connect, TLS, TTFB and Download come from the Resource Timing API; when the site hides them (no Timing-Allow-Origin) the total is a wall-clock measurement marked ≈.",
+};
@@ -0,0 +1,13 @@
+// ---------- Redirect time ----------
+// redirectEnd − redirectStart of the network probe. Kept for budgets and
+// exports; the tables show the Redirected flag instead.
+import { networkCollector } from "./networkLatency.js";
+
+export default {
+  key: "redirectTime",
+  label: "Redirect time",
+  unit: "ms",
+  better: "lower",
+  collector: networkCollector,
+  table: false,
+};
@@ -0,0 +1,19 @@
+// ---------- Redirected ----------
+// Whether the network probe was redirected: 1 when it was, 0 otherwise.
+// Resource Timing only exposes the redirect window, not the hop count, so
+// this is a flag rather than a count. Over several trials the statistic can
+// fall in between, which reads as "some trials".
+import { networkCollector } from "./networkLatency.js";
+
+export default {
+  key: "redirected",
+  label: "Redirected",
+  shortLabel: "Redir",
+  unit: "",
+  better: "lower",
+  collector: networkCollector,
+  aliases: ["redirect"],
+  format: (v) => (v >= 1 ? "yes" : v > 0 ? "some trials" : "no"),
+  description:
+    "Whether the network probe was redirected (yes/no). Browsers don't expose the number of hops; budgets can check it with \"redirected = 0\".",
+};
@@ -0,0 +1,12 @@
+// ---------- TLS handshake ----------
+// connectEnd − secureConnectionStart; 0 for plain HTTP.
+import { networkCollector } from "./networkLatency.js";
+
+export default {
+  key: "tlsTime",
+  label: "TLS",
+  unit: "ms",
+  better: "lower",
+  collector: networkCollector,
+  aliases: ["tls"],
+};
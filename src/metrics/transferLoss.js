@@ -0,0 +1,19 @@
+// ---------- Transfer loss ----------
+// Share of the throughput stage's requests that errored, timed out or came
+// back short, like dropped packets.
+import { throughputCollector } from "./downloadMbps.js";
+
+export default {
+  key: "transferLoss",
+  label: "Transfer loss",
+  shortLabel: "Loss",
+  unit: "%",
+  better: "lower",
+  collector: throughputCollector,
+  threshold: 5,
+  weight: 0.03,
+  linearRelative: true,
+  aliases: ["loss"],
+  hideWhenEmpty: true,
+  description: "Share of the throughput requests that failed or timed out.",
+};
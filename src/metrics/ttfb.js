@@ -0,0 +1,11 @@
+// ---------- Time to first byte ----------
+// responseStart − requestStart: server think time plus one round trip.
+import { networkCollector } from "./networkLatency.js";
+
+export default {
+  key: "ttfb",
+  label: "TTFB",
+  unit: "ms",
+  better: "lower",
+  collector: networkCollector,
+};
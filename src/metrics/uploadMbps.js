@@ -0,0 +1,19 @@
+// ---------- Upload speed ----------
+// Like download speed, with POSTs of random bytes; only when uploads are on.
+import { throughputCollector } from "./downloadMbps.js";
+
+export default {
+  key: "uploadMbps",
+  label: "Upload speed",
+  shortLabel: "Up",
+  unit: "Mbps",
+  better: "higher",
+  collector: throughputCollector,
+  threshold: 10,
+  weight: 0.04,
+  linearRelative: true,
+  siteOption: "up",
+  aliases: ["up"],
+  hideWhenEmpty: true,
+  description: "The same with uploads, when enabled for the run (higher is better).",
+};
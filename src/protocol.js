@@ -0,0 +1,177 @@
+// ---------- Dashboard <-> runner message protocol ----------
+// Every message from the runner (/benchmark.html) is an envelope
+//   { protocol, version, type, runId, index, nonce, ...fields }
+// posted with targetOrigin = the runner's own origin. The dashboard accepts a
+// message only when it comes from its own origin, from a runner window it
+// opened for the current run, and carries that run's secret nonce (passed to
+// the runner in the URL hash, never in the query string). Every field is
+// then checked against the schema below; anything else is dropped.
+//
+// Types:
+//   started    { site, trials, warmup }         runner script is up
+//   progress   { stage, detail }                status stage changed
+//   heartbeat  {}                               sent every HEARTBEAT_INTERVAL_MS
+//   error      { message }                      runner failed and stopped
+//   result     { result }                       final measurements for the site,
+//                                               or a failure status (resultStatus.js),
+//                                               plus the runner window's state
+//
+// The runner page (benchmarkPage.js) imports these constants. Measurement
+// fields and collector stages come from the metric registry (metrics/).
+import { STATUS_IDS, isFailed } from "./resultStatus.js";
+import { COLLECTORS, METRICS, REQUIRED_METRICS } from "./metrics/index.js";
+
+export const PROTOCOL = "benchmark-runner";
+export const PROTOCOL_VERSION = 1;
+export const HEARTBEAT_INTERVAL_MS = 2000;
+// A runner that sends nothing for this long is considered gone. Generous,
+// because browsers throttle timers in background windows.
+export const RUNNER_SILENCE_MS = 10 * HEARTBEAT_INTERVAL_MS;
+export const MESSAGE_TYPES = ["started", "progress", "heartbeat", "error", "result"];
+export const PROGRESS_STAGES = ["checking", ...COLLECTORS.map((c) => c.id), "done", "timeout"];
+export const MEMORY_SOURCES = ["measureUserAgentSpecificMemory", "performance.memory", "unavailable"];
+
+// 128-bit hex secret for one run
+export function createNonce() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// ---------- Field checks ----------
+// Each check returns a problem string, or null when the value is fine.
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const duration = (v) => (typeof v === "number" && isFinite(v) && v >= 0 ? null : "must be a non-negative number");
+const optionalDuration = (v) => (v == null ? null : duration(v));
+const count = (min) => (v) => (Number.isInteger(v) && v >= min ? null : `must be an integer ≥ ${min}`);
+const optionalCount = (min) => (v) => (v == null ? null : count(min)(v));
+const string = (max) => (v) => (typeof v === "string" && v.length <= max ? null : `must be a string of at most ${max} characters`);
+const oneOf = (values) => (v) => (values.includes(v) ? null : `must be one of ${values.join(", ")}`);
+const boolean = (v) => (typeof v === "boolean" ? null : "must be true or false");
+const workloadTimes = (v) => {
+  if (v == null) return null;
+  if (!isObject(v)) return "must be an object";
+  for (const [id, ms] of Object.entries(v)) {
+    if (optionalDuration(ms)) return `${id} must be a non-negative number or null`;
+  }
+  return null;
+};
+const workloadIds = (v) =>
+  Array.isArray(v) && v.length <= 32 && v.every((id) => typeof id === "string" && id.length <= 32)
+    ? null
+    : "must be a list of workload ids";
+
+// Per-trial measurements (also the shape of the summary in `result`): every
+// registered metric is a non-negative number (null = not measured; required
+// ones always measured), plus the collectors' side fields, absent when their
+// collector didn't run.
+const SAMPLE_SCHEMA = {
+  ...Object.fromEntries(METRICS.map((m) => [m.key, m.required ? duration : optionalDuration])),
+  cpuWorkloads: workloadTimes,
+  memorySource: (v) => (v === undefined ? null : oneOf(MEMORY_SOURCES)(v)),
+  timingApproximate: (v) => (v === undefined ? null : boolean(v)),
+};
+
+// The runner window's state during the measurement (environment.js)
+const RUNNER_ENVIRONMENT_SCHEMA = {
+  visibility: oneOf(["visible", "hidden"]),
+  focused: boolean,
+  hiddenDuringRun: boolean,
+};
+
+// Failed results have null measurements; checkResult requires them for
+// measured statuses.
+const RESULT_SCHEMA = {
+  ...SAMPLE_SCHEMA,
+  ...Object.fromEntries(REQUIRED_METRICS.map((m) => [m.key, optionalDuration])),
+  status: oneOf(STATUS_IDS),
+  statusDetail: (v) => (v == null ? null : string(500)(v)),
+  site: string(2048),
+  trials: count(1),
+  warmup: count(0),
+  workloads: workloadIds,
+  parallelWorkers: optionalCount(1),
+  environment: (v) => (v == null ? null : checkSchema(v, RUNNER_ENVIRONMENT_SCHEMA, ".")),
+  samples: (v) => {
+    if (!Array.isArray(v) || v.length > 1000) return "must be a list of trial samples";
+    for (let i = 0; i < v.length; i++) {
+      const problem = checkSchema(v[i], SAMPLE_SCHEMA, `[${i}].`);
+      if (problem) return problem;
+    }
+    return null;
+  },
+};
+
+const TYPE_SCHEMAS = {
+  started: { site: string(2048), trials: count(1), warmup: count(0) },
+  progress: { stage: oneOf(PROGRESS_STAGES), detail: string(200) },
+  heartbeat: {},
+  error: { message: string(1000) },
+  result: { result: checkResult },
+};
+
+function checkResult(v) {
+  if (!isObject(v)) return "must be an object";
+  const problem = checkSchema(v, RESULT_SCHEMA, ".");
+  if (problem) return problem;
+  if (!isFailed(v)) {
+    for (const { key } of REQUIRED_METRICS) {
+      if (v[key] == null) return `.${key} is required when status is ${v.status}`;
+    }
+  }
+  return null;
+}
+
+const ENVELOPE_FIELDS = ["protocol", "version", "type", "runId", "index", "nonce"];
+
+// Unknown fields are rejected too, so a payload can't smuggle extra data
+// into history records. Nested checks pass a path prefix (".", "[3].") and
+// their problems start with it, so the outer key is joined without a space.
+function checkSchema(obj, schema, prefix = "") {
+  if (!isObject(obj)) return `${prefix.slice(0, -1) || "message"} is not an object`;
+  for (const key of Object.keys(obj)) {
+    if (!(key in schema)) return `${prefix}${key} is not a known field`;
+  }
+  for (const [key, check] of Object.entries(schema)) {
+    const problem = check(obj[key]);
+    if (problem) return `${prefix}${key}${/^[.[]/.test(problem) ? "" : " "}${problem}`;
+  }
+  return null;
+}
+
+// `expected`: { origin, runId, nonce, isRunner(source) -> index | undefined }.
+// Returns { ok: true, message } or { ok: false, reason }.
+export function validateMessage(event, expected) {
+  const data = event.data;
+  if (event.origin !== expected.origin) return { ok: false, reason: `foreign origin ${event.origin || "(opaque)"}` };
+  if (!isObject(data) || data.protocol !== PROTOCOL) return { ok: false, reason: "not a runner message" };
+  if (data.version !== PROTOCOL_VERSION) {
+    return { ok: false, reason: `unsupported protocol version ${JSON.stringify(data.version)}` };
+  }
+  if (!MESSAGE_TYPES.includes(data.type)) return { ok: false, reason: `unknown message type ${JSON.stringify(data.type)}` };
+  if (expected.runId == null || data.runId !== expected.runId) return { ok: false, reason: "message for another run" };
+  if (!expected.nonce || data.nonce !== expected.nonce) return { ok: false, reason: "wrong nonce" };
+  if (!Number.isInteger(data.index) || data.index < 0) return { ok: false, reason: "index must be an integer ≥ 0" };
+  const senderIndex = expected.isRunner(event.source);
+  if (senderIndex === undefined) return { ok: false, reason: "sender is not a runner of this run" };
+  if (senderIndex !== data.index) return { ok: false, reason: `runner ${senderIndex} claimed index ${data.index}` };
+
+  const fields = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (!ENVELOPE_FIELDS.includes(key)) fields[key] = value;
+  }
+  const problem = checkSchema(fields, TYPE_SCHEMAS[data.type]);
+  if (problem) return { ok: false, reason: `${data.type}: ${problem}` };
+  return { ok: true, message: data };
+}
+
+// Short, safe description of a dropped message for the diagnostics panel
+export function describeMessage(data) {
+  if (!isObject(data)) return typeof data;
+  let text;
+  try {
+    text = JSON.stringify(data);
+  } catch {
+    return "(unserializable)";
+  }
+  return text.length > 160 ? `${text.slice(0, 157)}…` : text;
+}
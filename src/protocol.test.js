@@ -0,0 +1,65 @@
+import { describe, expect, it } from "vitest";
+import { PROTOCOL, PROTOCOL_VERSION, validateMessage } from "./protocol.js";
+
+const origin = "http://localhost:5173";
+const runner = {};
+const expected = { origin, runId: 42, nonce: "secret", isRunner: (source) => (source === runner ? 0 : undefined) };
+
+function event(fields, overrides = {}) {
+  return {
+    origin,
+    source: runner,
+    data: { protocol: PROTOCOL, version: PROTOCOL_VERSION, runId: 42, index: 0, nonce: "secret", ...fields },
+    ...overrides,
+  };
+}
+
+const result = {
+  site: "https://a.example",
+  status: "ok",
+  trials: 1,
+  warmup: 0,
+  workloads: ["hash"],
+  loadTime: 800,
+  cpuTime: 300,
+  networkLatency: 100,
+  memoryUsage: null,
+  memorySource: "unavailable",
+  samples: [{ loadTime: 800, cpuTime: 300, networkLatency: 100, cpuWorkloads: { hash: 300 } }],
+  environment: { visibility: "visible", focused: true, hiddenDuringRun: false },
+};
+
+describe("validateMessage", () => {
+  it("accepts a well-formed message from this run's runner", () => {
+    expect(validateMessage(event({ type: "heartbeat" }), expected)).toMatchObject({ ok: true });
+    expect(validateMessage(event({ type: "result", result }), expected)).toMatchObject({ ok: true });
+  });
+
+  it("drops messages from elsewhere", () => {
+    const check = (e) => validateMessage(e, expected).reason;
+    expect(check(event({ type: "heartbeat" }, { origin: "https://evil.example" }))).toBe("foreign origin https://evil.example");
+    expect(check(event({ type: "heartbeat", nonce: "guess" }))).toBe("wrong nonce");
+    expect(check(event({ type: "heartbeat", runId: 41 }))).toBe("message for another run");
+    expect(check(event({ type: "heartbeat" }, { source: {} }))).toBe("sender is not a runner of this run");
+    expect(check(event({ type: "heartbeat", index: 1 }))).toBe("runner 0 claimed index 1");
+    expect(check(event({ type: "heartbeat", version: 2 }))).toBe("unsupported protocol version 2");
+  });
+
+  it("rejects fields outside the schema", () => {
+    expect(validateMessage(event({ type: "heartbeat", extra: 1 }), expected).reason).toBe("heartbeat: extra is not a known field");
+    expect(validateMessage(event({ type: "result", result: { ...result, loadTime: -1 } }), expected).reason).toBe(
+      "result: result.loadTime must be a non-negative number"
+    );
+    expect(validateMessage(event({ type: "result", result: { ...result, samples: [{ loadTime: 1, secret: "x" }] } }), expected).reason).toBe(
+      "result: result.samples[0].secret is not a known field"
+    );
+  });
+
+  it("requires the required metrics unless the site failed", () => {
+    expect(validateMessage(event({ type: "result", result: { ...result, cpuTime: null } }), expected).reason).toBe(
+      "result: result.cpuTime is required when status is ok"
+    );
+    const failed = { ...result, status: "timeout", loadTime: null, cpuTime: null, networkLatency: null, samples: [] };
+    expect(validateMessage(event({ type: "result", result: failed }), expected).ok).toBe(true);
+  });
+});
@@ -0,0 +1,50 @@
+// ---------- Seeded site selection ----------
+// A run's selection is fully determined by (site list, seed, sample size), so
+// another machine can replay it by entering the same seed.
+
+export function randomSeed() {
+  const buf = new Uint32Array(1);
+  crypto.getRandomValues(buf);
+  return buf[0].toString(16).padStart(8, "0");
+}
+
+// FNV-1a: turns any seed string into a 32-bit integer
+function hashSeed(seed) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    h ^= seed.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32: small, fast PRNG returning floats in [0, 1)
+export function createRng(seed) {
+  let a = hashSeed(String(seed));
+  return function next() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Unbiased Fisher–Yates shuffle; does not mutate `items`.
+export function seededShuffle(items, seed) {
+  const rng = createRng(seed);
+  const out = [...items];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// mode "all" keeps the list order; "sample" takes the first `sampleSize`
+// entries of the seeded shuffle.
+export function selectSites(sites, { mode, sampleSize, seed }) {
+  if (mode === "all") return [...sites];
+  const n = Math.max(1, Math.min(sampleSize, sites.length));
+  return seededShuffle(sites, seed).slice(0, n);
+}
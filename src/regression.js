@@ -0,0 +1,163 @@
+// ---------- Regression detection against a pinned baseline ----------
+// Each computer can pin one history run as its baseline. New runs are
+// compared per site and per metric using the stored trial samples:
+//   "tolerance": the chosen statistic moved by more than `tolerancePct`.
+//   "welch":     Welch's t-test on the samples is significant at `alpha`
+//                AND the change exceeds the tolerance (so tiny but
+//                consistent shifts are not flagged). Falls back to the
+//                tolerance rule when either side has fewer than 2 samples.
+import { SCORED_METRICS } from "./scoring.js";
+import { mean, summarize } from "./stats.js";
+
+export const REGRESSION_METHODS = [
+  { id: "tolerance", label: "Tolerance only" },
+  { id: "welch", label: "Welch t-test + tolerance" },
+];
+
+export const DEFAULT_REGRESSION_SETTINGS = { method: "welch", tolerancePct: 10, alpha: 0.05 };
+
+// ---------- Student's t distribution ----------
+function logGamma(x) {
+  // Lanczos approximation (g = 7, n = 9)
+  const c = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+    1.5056327351493116e-7,
+  ];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  x -= 1;
+  let a = c[0];
+  const t = x + 7.5;
+  for (let i = 1; i < 9; i++) a += c[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+// Continued fraction for the incomplete beta function (Numerical Recipes betacf)
+function betaContinuedFraction(a, b, x) {
+  const EPS = 1e-12;
+  const TINY = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < EPS) break;
+  }
+  return h;
+}
+
+function regularizedBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+}
+
+// Two-tailed p-value for t with `df` degrees of freedom
+export function tTestPValue(t, df) {
+  if (!isFinite(t)) return 0;
+  return regularizedBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+// Welch's unequal-variance t-test; null when either side has < 2 samples.
+export function welchTTest(a, b) {
+  const sa = summarize(a);
+  const sb = summarize(b);
+  if (!sa || !sb || sa.n < 2 || sb.n < 2) return null;
+  const va = sa.stdDev ** 2 / sa.n;
+  const vb = sb.stdDev ** 2 / sb.n;
+  if (va + vb === 0) {
+    // No spread on either side: any difference in means is certain
+    const same = sa.mean === sb.mean;
+    return { t: same ? 0 : Infinity, df: sa.n + sb.n - 2, p: same ? 1 : 0 };
+  }
+  const t = (sa.mean - sb.mean) / Math.sqrt(va + vb);
+  const df = (va + vb) ** 2 / (va ** 2 / (sa.n - 1) + vb ** 2 / (sb.n - 1));
+  return { t, df, p: tTestPValue(t, df) };
+}
+
+// ---------- Comparison ----------
+function samplesOf(r, key) {
+  const xs = r.samples?.length ? r.samples.map((s) => s[key]) : [r[key]];
+  return xs.filter((v) => typeof v === "number" && isFinite(v));
+}
+
+// verdict: "regression" | "improvement" | "unchanged" | "n/a". Whether a
+// rise is a regression depends on the metric's `better` direction.
+// changePct is null when the baseline is 0.
+function higherIsBetter(key) {
+  return SCORED_METRICS.find((m) => m.key === key)?.better === "higher";
+}
+
+export function compareMetric(current, baseline, key, statistic, settings) {
+  const cur = samplesOf(current, key);
+  const base = samplesOf(baseline, key);
+  const sc = summarize(cur);
+  const sb = summarize(base);
+  if (!sc || !sb) return { verdict: "n/a" };
+  const curValue = sc[statistic] ?? mean(cur);
+  const baseValue = sb[statistic] ?? mean(base);
+  // A zero baseline (no transfer loss, no redirect) has no relative change:
+  // changePct is null and any difference counts as beyond the tolerance.
+  const changePct = baseValue === 0 ? null : ((curValue - baseValue) / baseValue) * 100;
+  const beyondTolerance = changePct === null ? curValue !== 0 : Math.abs(changePct) > settings.tolerancePct;
+
+  let test = null;
+  let significant = beyondTolerance;
+  if (settings.method === "welch") {
+    test = welchTTest(cur, base);
+    if (test) significant = beyondTolerance && test.p < settings.alpha;
+  }
+  const worse = higherIsBetter(key) ? curValue < baseValue : curValue > baseValue;
+  const verdict = !significant ? "unchanged" : worse ? "regression" : "improvement";
+  return { verdict, current: curValue, baseline: baseValue, changePct, p: test?.p ?? null };
+}
+
+// { [site]: { [metricKey]: comparison } } for sites present in both runs.
+export function detectRegressions(currentResults, baselineRun, statistic, settings) {
+  const out = {};
+  for (const r of currentResults) {
+    const base = baselineRun.results.find((b) => b.site === r.site);
+    if (!base) continue;
+    out[r.site] = {};
+    for (const { key } of SCORED_METRICS) {
+      out[r.site][key] = compareMetric(r, base, key, statistic, settings);
+    }
+  }
+  return out;
+}
+
+// Flat list of the regressions, worst first, for the summary panel.
+export function listRegressions(report) {
+  const list = [];
+  for (const [site, metrics] of Object.entries(report)) {
+    for (const [key, c] of Object.entries(metrics)) {
+      if (c.verdict === "regression") list.push({ site, key, ...c });
+    }
+  }
+  // Changes from a zero baseline have no percentage; they sort first.
+  const worsening = (x) =>
+    x.changePct === null ? Infinity : higherIsBetter(x.key) ? -x.changePct : x.changePct;
+  return list.sort((a, b) => worsening(b) - worsening(a));
+}
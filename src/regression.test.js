@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import { compareMetric } from "./regression.js";
+
+const threshold = { method: "threshold", tolerancePct: 10, alpha: 0.05 };
+const welch = { method: "welch", tolerancePct: 10, alpha: 0.05 };
+const trials = (key, values) => ({ samples: values.map((v) => ({ [key]: v })) });
+
+describe("compareMetric", () => {
+  it("flags a rise beyond the tolerance as a regression", () => {
+    const c = compareMetric({ loadTime: 1200 }, { loadTime: 1000 }, "loadTime", "median", threshold);
+    expect(c).toMatchObject({ verdict: "regression", current: 1200, baseline: 1000, changePct: 20 });
+  });
+
+  it("keeps changes within the tolerance unchanged", () => {
+    expect(compareMetric({ loadTime: 1050 }, { loadTime: 1000 }, "loadTime", "median", threshold).verdict).toBe("unchanged");
+  });
+
+  it("treats a drop in a higher-is-better metric as a regression", () => {
+    expect(compareMetric({ downloadMbps: 50 }, { downloadMbps: 100 }, "downloadMbps", "median", threshold).verdict).toBe(
+      "regression"
+    );
+    expect(compareMetric({ loadTime: 500 }, { loadTime: 1000 }, "loadTime", "median", threshold).verdict).toBe(
+      "improvement"
+    );
+  });
+
+  it("has no percentage against a zero baseline", () => {
+    const c = compareMetric({ transferLoss: 10 }, { transferLoss: 0 }, "transferLoss", "median", threshold);
+    expect(c).toMatchObject({ verdict: "regression", changePct: null });
+    expect(compareMetric({ transferLoss: 0 }, { transferLoss: 0 }, "transferLoss", "median", threshold).verdict).toBe(
+      "unchanged"
+    );
+  });
+
+  it("requires a significant Welch test", () => {
+    const noisy = compareMetric(trials("loadTime", [800, 1600, 1100]), trials("loadTime", [1000, 700, 1300]), "loadTime", "median", welch);
+    expect(noisy.verdict).toBe("unchanged");
+    const clear = compareMetric(
+      trials("loadTime", [1500, 1510, 1490, 1505]),
+      trials("loadTime", [1000, 1010, 990, 1005]),
+      "loadTime",
+      "median",
+      welch
+    );
+    expect(clear.verdict).toBe("regression");
+    expect(clear.p).toBeLessThan(0.05);
+  });
+
+  it("is n/a when either side has no value", () => {
+    expect(compareMetric({ memoryUsage: null }, { memoryUsage: 50 }, "memoryUsage", "median", threshold)).toEqual({ verdict: "n/a" });
+  });
+});
@@ -0,0 +1,304 @@
+// ---------- Shareable HTML report ----------
+// One self-contained HTML file per run: metadata, the per-site table with
+// threshold highlighting, an SVG score chart, environment details, DNS
+// resolver diagnostics and a comparison with earlier comparable runs of the same computer.
+// Everything is inlined (styles, SVG), so it opens without network access
+// and prints cleanly to PDF. Every value from a run goes through esc().
+import {
+  BUILTIN_PROFILES,
+  SCORED_METRICS,
+  averageScore,
+  describeProfile,
+  describeThreshold,
+  scoreResult,
+  thresholdWarnings,
+} from "./scoring.js";
+import { describeBudget, describeCheck } from "./budgets.js";
+import { environmentDetails } from "./environment.js";
+import { formatMetric, metricHeading, tableMetrics } from "./metrics/index.js";
+import { describeResolverResult } from "./resolvers.js";
+import { isFailed, statusLabel } from "./resultStatus.js";
+import { describeStrategy } from "./scheduler.js";
+import { siteThresholds } from "./siteGroups.js";
+import { STATISTICS, resolveSiteResult } from "./stats.js";
+
+const HISTORY_LIMIT = 10;
+
+const esc = (v) =>
+  String(v ?? "").replace(/[<>&"']/g, (ch) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&#39;" })[ch]);
+
+const STYLE = `
+  :root { color-scheme: light; }
+  * { box-sizing: border-box; }
+  body { margin: 0 auto; max-width: 1000px; padding: 24px; font: 14px/1.4 system-ui, sans-serif; color: #111827; background: #fff; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 28px 0 8px; border-bottom: 1px solid #d1d5db; padding-bottom: 4px; }
+  .muted { color: #6b7280; }
+  .score { font-size: 28px; font-weight: 700; color: #1d4ed8; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 16px; margin: 0; }
+  dt { color: #6b7280; }
+  dd { margin: 0; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; }
+  th, td { border: 1px solid #d1d5db; padding: 3px 6px; text-align: right; vertical-align: top; }
+  th { background: #f3f4f6; }
+  td.site, th.site { text-align: left; word-break: break-all; }
+  td.warn { background: #fef3c7; }
+  tr.failed td { background: #fee2e2; color: #991b1b; }
+  .worse { color: #b91c1c; }
+  .better { color: #15803d; }
+  .pass { color: #15803d; font-weight: 700; }
+  .fail { color: #b91c1c; font-weight: 700; }
+  svg text { font: 11px system-ui, sans-serif; fill: #374151; }
+  footer { margin-top: 32px; font-size: 11px; color: #9ca3af; }
+  @media print {
+    body { max-width: none; padding: 0; }
+    h2 { break-after: avoid; }
+    tr, svg, dl { break-inside: avoid; }
+    * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  }
+  @page { margin: 14mm; }
+`;
+
+// ---------- Charts (inline SVG) ----------
+function scoreBars(rows) {
+  const barHeight = 18;
+  const labelWidth = 260;
+  const width = 760;
+  const chartWidth = width - labelWidth - 50;
+  const height = rows.length * (barHeight + 6) + 24;
+  const max = Math.max(1000, ...rows.map((r) => r.score ?? 0));
+  const bars = rows.map((r, i) => {
+    const y = i * (barHeight + 6);
+    const name = r.label || r.site;
+    const short = name.length > 40 ? `${name.slice(0, 39)}…` : name;
+    if (r.score == null) {
+      return `<text x="${labelWidth - 6}" y="${y + 13}" text-anchor="end">${esc(short)}</text>
+      <text x="${labelWidth + 4}" y="${y + 13}" fill="#b91c1c">${esc(statusLabel(r.status))}</text>`;
+    }
+    const w = Math.max(1, (r.score / max) * chartWidth);
+    return `<text x="${labelWidth - 6}" y="${y + 13}" text-anchor="end">${esc(short)}</text>
+      <rect x="${labelWidth}" y="${y}" width="${w.toFixed(1)}" height="${barHeight}" fill="#60a5fa"/>
+      <text x="${(labelWidth + w + 4).toFixed(1)}" y="${y + 13}">${r.score}</text>`;
+  });
+  const axisY = rows.length * (barHeight + 6) + 4;
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map((f) => {
+    const x = labelWidth + f * chartWidth;
+    return `<line x1="${x}" y1="0" x2="${x}" y2="${axisY}" stroke="#e5e7eb"/>
+      <text x="${x}" y="${axisY + 14}" text-anchor="middle">${Math.round(f * max)}</text>`;
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="100%" viewBox="0 0 ${width} ${height}" role="img" aria-label="Score per site">
+    ${ticks.join("\n")}
+    ${bars.join("\n")}
+  </svg>`;
+}
+
+function scoreLine(points) {
+  const width = 760;
+  const height = 200;
+  const pad = { left: 40, right: 16, top: 22, bottom: 28 };
+  const max = Math.max(...points.map((p) => p.score), 1);
+  const x = (i) => pad.left + (points.length === 1 ? 0.5 : i / (points.length - 1)) * (width - pad.left - pad.right);
+  const y = (v) => pad.top + (1 - v / max) * (height - pad.top - pad.bottom);
+  const path = points.map((p, i) => `${i ? "L" : "M"}${x(i).toFixed(1)},${y(p.score).toFixed(1)}`).join(" ");
+  const dots = points.map(
+    (p, i) =>
+      `<circle cx="${x(i).toFixed(1)}" cy="${y(p.score).toFixed(1)}" r="${p.current ? 5 : 3}" fill="${p.current ? "#1d4ed8" : "#60a5fa"}"/>
+      <text x="${x(i).toFixed(1)}" y="${(y(p.score) - 8).toFixed(1)}" text-anchor="middle">${p.score}</text>
+      <text x="${x(i).toFixed(1)}" y="${height - 8}" text-anchor="middle">${esc(p.date)}</text>`
+  );
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="100%" viewBox="0 0 ${width} ${height}" role="img" aria-label="Final score over time">
+    <line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" stroke="#d1d5db"/>
+    <path d="${path}" fill="none" stroke="#60a5fa" stroke-width="2"/>
+    ${dots.join("\n")}
+  </svg>`;
+}
+
+// ---------- Sections ----------
+function metaSection(run, profile, finalScore) {
+  const statistic = STATISTICS.find((s) => s.id === (run.statistic ?? "median"))?.label ?? run.statistic;
+  const selection =
+    run.selectionMode === "all"
+      ? "Full suite"
+      : run.selectionMode === "rerun-failed"
+        ? "Re-run of failed sites"
+        : `Sample, seed ${run.seed ?? "—"}`;
+  const rows = [
+    ["Computer", run.computer || "—"],
+    ["Run at", run.at],
+    ["Site group", run.siteGroup || "—"],
+    ["Sites", `${run.results.length} (${selection})`],
+    ["Trials", `${run.trials ?? 1} + ${run.warmup ?? 0} warm-up, ${statistic}`],
+    ["CPU workloads", (run.workloads || []).join(", ") || "—"],
+    ["Execution", describeStrategy(run.strategy)],
+    ["Scoring profile", `${profile.name} — ${describeProfile(profile)}`],
+    ["Source", run.source || "dashboard"],
+  ];
+  const failed = run.results.filter(isFailed).length;
+  return `<p class="score">Final score ${finalScore}</p>
+  ${failed ? `<p class="fail">${failed} failed site(s) not scored</p>` : ""}
+  <dl>${rows.map(([k, v]) => `<dt>${esc(k)}</dt><dd>${esc(v)}</dd>`).join("")}</dl>`;
+}
+
+function siteTable(rows, run, profile) {
+  // Columns come from the metric registry; throughput only when measured
+  const metrics = tableMetrics(rows);
+  const head = [
+    `<th class="site">Site</th>`,
+    ...metrics.map((m) => `<th>${esc(metricHeading(m))}</th>`),
+    `<th>Score</th>`,
+  ].join("");
+  const body = rows.map((r) => {
+    const name = `${r.label ? `${esc(r.label)}<br><span class="muted">${esc(r.site)}</span>` : esc(r.site)}${
+      r.environment?.hiddenDuringRun ? `<br><span class="muted">ran in background</span>` : ""
+    }${r.status === "unverified" ? `<br><span class="muted">framing unverified</span>` : ""}`;
+    if (isFailed(r)) {
+      const colspan = metrics.length + 1;
+      return `<tr class="failed"><td class="site">${name}</td><td colspan="${colspan}" class="site">${esc(statusLabel(r.status))}${r.statusDetail ? ` — ${esc(r.statusDetail)}` : ""}</td></tr>`;
+    }
+    const warn = thresholdWarnings(r, siteThresholds(profile.thresholds, run.siteSettings?.[r.site]));
+    return `<tr><td class="site">${name}</td>${metrics.map((m) => metricCell(m, r, warn[m.key])).join("")}<td><strong>${r.score}</strong></td></tr>`;
+  });
+  const limits = SCORED_METRICS.filter((m) => metrics.includes(m))
+    .map((m) => describeThreshold(m, profile.thresholds[m.key] ?? m.threshold))
+    .join(", ");
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body.join("\n")}</tbody></table>
+  <p class="muted">Highlighted cells are worse than the thresholds (${esc(limits)}) or the site's own thresholds. ≈ marks network timings the site hid from the Resource Timing API.</p>`;
+}
+
+function metricCell(metric, r, warn) {
+  const v = r[metric.key];
+  if (v == null && metric.missing) return `<td title="${esc(metric.missing.title)}">${esc(metric.missing.text)}</td>`;
+  const note = v == null ? null : metric.annotate?.(r);
+  const title = note?.title ? ` title="${esc(note.title)}"` : "";
+  return `<td${warn ? ` class="warn"` : ""}${title}>${esc(note?.prefix ?? "")}${esc(formatMetric(metric, v, 1))}</td>`;
+}
+
+function environmentSection(environment) {
+  const details = environmentDetails(environment);
+  if (!details) return `<p class="muted">Not recorded (the run predates environment snapshots).</p>`;
+  return `<dl>${Object.entries(details)
+    .map(([k, v]) => `<dt>${esc(k)}</dt><dd>${esc(v)}</dd>`)
+    .join("")}</dl>`;
+}
+
+function resolverSection(diagnostics) {
+  if (!diagnostics) {
+    return `<p class="muted">No resolver diagnostics were run (they run on demand, or after a run with slow loads).</p>`;
+  }
+  const best = diagnostics.resolvers.find((r) => r.id === diagnostics.recommended);
+  return `<p class="muted">${esc(diagnostics.samples)} sample(s) of ${esc(diagnostics.hostnames.join(", "))}, ${esc(
+    new Date(diagnostics.at).toLocaleString()
+  )}.</p>
+  <ul>${diagnostics.resolvers.map((r) => `<li>${esc(describeResolverResult(r))}</li>`).join("")}</ul>
+  <p>Recommended: ${best ? esc(best.name) : "none (every resolver failed too often)"}</p>`;
+}
+
+function budgetSection(budgetReport) {
+  if (!budgetReport) return "";
+  const { passed, checks, failures } = budgetReport;
+  return `<h2>Performance budgets</h2>
+  <p class="${passed ? "pass" : "fail"}">${passed ? "PASS" : "FAIL"} — ${checks.length - failures.length} of ${checks.length} checks passed</p>
+  ${failures.length ? `<ul>${failures.map((c) => `<li>${esc(describeBudget(c.budget))} — ${esc(describeCheck(c))}</li>`).join("")}</ul>` : ""}`;
+}
+
+// Earlier runs of the same computer with the same strategy, newest first
+function comparableRuns(run, history) {
+  const key = describeStrategy(run.strategy);
+  return history
+    .filter((h) => h.id !== run.id && h.id < run.id && h.computer === run.computer && describeStrategy(h.strategy) === key)
+    .sort((a, b) => b.id - a.id)
+    .slice(0, HISTORY_LIMIT);
+}
+
+function historySection(run, rows, history, profile, finalScore) {
+  const earlier = comparableRuns(run, history);
+  if (!earlier.length) {
+    return `<p class="muted">No earlier runs of ${esc(run.computer || "this computer")} with the same execution strategy.</p>`;
+  }
+  const scoreOf = (h) => averageScore(h.results.map((r) => resolveSiteResult(r, h.statistic ?? "median")), profile);
+  const points = [...earlier]
+    .reverse()
+    .map((h) => ({ score: scoreOf(h), date: new Date(h.id).toLocaleDateString() }))
+    .concat({ score: finalScore, date: "this run", current: true });
+
+  const delta = (now, then) => {
+    if (now == null || then == null) return "—";
+    const d = now - then;
+    return `<span class="${d < 0 ? "worse" : d > 0 ? "better" : ""}">${d > 0 ? "+" : ""}${d}</span>`;
+  };
+  const runRows = earlier.map((h) => {
+    const s = scoreOf(h);
+    return `<tr><td class="site">${esc(h.at)}</td><td>${h.results.length}</td><td>${s}</td><td>${delta(finalScore, s)}</td></tr>`;
+  });
+
+  // Per-site scores against the most recent comparable run
+  const previous = earlier[0];
+  const before = new Map(
+    previous.results.map((r) => {
+      const resolved = resolveSiteResult(r, previous.statistic ?? "median");
+      return [r.site, isFailed(resolved) ? null : scoreResult(resolved, profile)];
+    })
+  );
+  const siteRows = rows
+    .filter((r) => before.has(r.site))
+    .map(
+      (r) =>
+        `<tr><td class="site">${esc(r.label || r.site)}</td><td>${before.get(r.site) ?? "failed"}</td><td>${r.score ?? "failed"}</td><td>${delta(r.score, before.get(r.site))}</td></tr>`
+    );
+
+  return `${scoreLine(points)}
+  <p class="muted">Scored with ${esc(profile.name)}; the last ${earlier.length} comparable run(s), same computer and ${esc(describeStrategy(run.strategy))}.</p>
+  <table><thead><tr><th class="site">Run</th><th>Sites</th><th>Final score</th><th>This run vs. then</th></tr></thead>
+  <tbody>${runRows.join("\n")}</tbody></table>
+  ${
+    siteRows.length
+      ? `<h3>Per site vs. ${esc(previous.at)}</h3>
+  <table><thead><tr><th class="site">Site</th><th>Then</th><th>Now</th><th>Change</th></tr></thead>
+  <tbody>${siteRows.join("\n")}</tbody></table>`
+      : ""
+  }`;
+}
+
+// `run`: a history/export run record. Options:
+//   profile              scores the run (default: the run's own)
+//   history              all runs, for the comparison section
+//   resolverDiagnostics  runResolverDiagnostics() result, when one was run
+//   budgetReport         evaluateBudgets() result, when budgets are set
+export function buildReportHTML(run, { profile, history = [], resolverDiagnostics = null, budgetReport = null } = {}) {
+  const scoring = profile || run.profile || BUILTIN_PROFILES[0];
+  const statistic = run.statistic ?? "median";
+  const rows = run.results
+    .slice()
+    .sort((a, b) => a.index - b.index)
+    .map((raw) => resolveSiteResult(raw, statistic))
+    .map((r) => ({ ...r, label: run.siteSettings?.[r.site]?.label, score: scoreResult(r, scoring) }));
+  const finalScore = averageScore(rows, scoring);
+  const title = `Benchmark report — ${run.computer || "unnamed computer"}, ${run.at}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${esc(title)}</h1>
+${metaSection(run, scoring, finalScore)}
+${budgetSection(budgetReport)}
+<h2>Sites</h2>
+${siteTable(rows, run, scoring)}
+<h2>Score per site</h2>
+${scoreBars(rows)}
+<h2>Environment</h2>
+${environmentSection(run.environment)}
+<h2>DNS resolvers</h2>
+${resolverSection(resolverDiagnostics)}
+<h2>History</h2>
+${historySection(run, rows, history, scoring, finalScore)}
+<footer>Generated ${esc(new Date().toLocaleString())} · run id ${esc(run.id)}</footer>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,236 @@
+// ---------- Resolver diagnostics ----------
+// Compares DNS-over-HTTPS resolvers by resolving the hostnames of the current
+// site list through each of them, several times over. A resolver is
+// configured as one line:
+//   https://cloudflare-dns.com/dns-query name="Cloudflare" format=json
+//   name:    shown in results (default: the URL's host)
+//   format:  json    -> GET ?name=<host>&type=A, Accept: application/dns-json
+//                       (Google, Cloudflare, Quad9 on :5053)
+//            message -> GET ?dns=<base64url query>, Accept: application/dns-message
+//                       (RFC 8484; what most internal/self-hosted servers speak)
+// Query parameters already on the URL are kept, so the local stand-in
+// (fixtures/server.js, /dns-query?delay=20&fail=4) can simulate a slow or
+// flaky resolver.
+//
+// Samples go round-robin over resolvers and hostnames so a network hiccup
+// doesn't land on one resolver only. A query fails on a network error, a
+// non-2xx response, a timeout or a SERVFAIL/REFUSED answer; NXDOMAIN is a
+// valid answer. Per resolver we report the median query time, jitter (mean
+// absolute difference between consecutive samples of the same hostname, as
+// in RFC 3550, averaged over the hostnames) and the failure rate.
+import { tokenize } from "./siteGroups.js";
+import { quantile } from "./stats.js";
+
+export const DEFAULT_RESOLVER_TEXT = [
+  'https://cloudflare-dns.com/dns-query name="Cloudflare" format=json',
+  'https://dns.google/resolve name="Google" format=json',
+  'https://dns.quad9.net:5053/dns-query name="Quad9" format=json',
+  "# Local stand-in (npm run fixtures); add ?delay=MS or ?fail=N to simulate trouble:",
+  '# http://localhost:5174/dns-query name="Local stand-in" format=message',
+].join("\n");
+
+export const RESOLVER_FORMATS = ["json", "message"];
+export const DEFAULT_SAMPLES = 5;
+export const MAX_HOSTNAMES = 10;
+const QUERY_TIMEOUT_MS = 3000;
+// A resolver failing more often than this is never recommended
+const MAX_RECOMMENDED_FAILURE_RATE = 0.2;
+
+const OPTION = /^(\w+)=("(?:[^"\\]|\\.)*"|\S+)$/;
+const RCODES = { 0: "NOERROR", 1: "FORMERR", 2: "SERVFAIL", 3: "NXDOMAIN", 4: "NOTIMP", 5: "REFUSED" };
+
+// Returns { resolvers: [{ id, name, url, format }], errors } like parseSiteLines
+export function parseResolverLines(text) {
+  const resolvers = [];
+  const errors = [];
+  const seen = new Map(); // URL -> line
+  String(text || "")
+    .split("\n")
+    .forEach((raw, i) => {
+      const line = raw.trim();
+      if (!line || line.startsWith("#")) return;
+      const problem = (message) => errors.push({ line: i + 1, text: line, message });
+
+      const [url, ...options] = tokenize(line);
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch {
+        return problem(`"${url}" is not a URL`);
+      }
+      if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+        return problem("resolvers must be http(s) DoH endpoints");
+      }
+      if (seen.has(parsed.href)) return problem(`duplicate of line ${seen.get(parsed.href)}`);
+
+      const resolver = { id: parsed.href, name: parsed.host, url: parsed.href, format: "json" };
+      for (const token of options) {
+        const m = OPTION.exec(token);
+        if (!m) return problem(`expected name=value, got "${token}"`);
+        const [, key, rawValue] = m;
+        if (key === "name") {
+          try {
+            resolver.name = rawValue.startsWith('"') ? JSON.parse(rawValue) : rawValue;
+          } catch {
+            return problem(`name ${rawValue} is not a valid quoted string`);
+          }
+        } else if (key === "format") {
+          if (!RESOLVER_FORMATS.includes(rawValue)) return problem(`format must be ${RESOLVER_FORMATS.join(" or ")}`);
+          resolver.format = rawValue;
+        } else {
+          return problem(`unknown setting "${key}" (use name, format)`);
+        }
+      }
+      seen.set(parsed.href, i + 1);
+      resolvers.push(resolver);
+    });
+  return { resolvers, errors };
+}
+
+// Distinct DNS names of the sites (IP literals have nothing to resolve);
+// example.com when there are none.
+export function resolverHostnames(urls, limit = MAX_HOSTNAMES) {
+  const names = [];
+  for (const u of urls) {
+    let host;
+    try {
+      host = new URL(u).hostname;
+    } catch {
+      continue;
+    }
+    if (/^[\d.]+$/.test(host) || host.startsWith("[") || names.includes(host)) continue;
+    names.push(host);
+  }
+  return names.length ? names.slice(0, limit) : ["example.com"];
+}
+
+// ---------- DNS wire format (RFC 1035 / 8484) ----------
+export function encodeDnsQuery(hostname) {
+  const labels = hostname.replace(/\.$/, "").split(".").map((l) => new TextEncoder().encode(l));
+  const bytes = [0, 0, 1, 0, 0, 1, 0, 0, 0, 0, 0, 0]; // id 0, recursion desired, one question
+  for (const label of labels) bytes.push(label.length, ...label);
+  bytes.push(0, 0, 1, 0, 1); // root, type A, class IN
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function rcodeOf(bytes) {
+  if (bytes.length < 12) throw new Error("truncated DNS message");
+  return bytes[3] & 0x0f;
+}
+
+// One query; resolves to { ms, rcode } or rejects with a short reason
+async function queryOnce(resolver, hostname, { fetchImpl, timeoutMs }) {
+  const url = new URL(resolver.url);
+  if (resolver.format === "message") {
+    url.searchParams.set("dns", encodeDnsQuery(hostname));
+  } else {
+    url.searchParams.set("name", hostname);
+    url.searchParams.set("type", "A");
+  }
+  const accept = resolver.format === "message" ? "application/dns-message" : "application/dns-json";
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const t0 = performance.now();
+  try {
+    const res = await fetchImpl(url.href, { headers: { Accept: accept }, cache: "no-store", signal: controller.signal });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const rcode =
+      resolver.format === "message" ? rcodeOf(new Uint8Array(await res.arrayBuffer())) : (await res.json()).Status;
+    const ms = performance.now() - t0;
+    if (rcode !== 0 && rcode !== 3) throw new Error(RCODES[rcode] || `rcode ${rcode}`);
+    return { ms, rcode };
+  } catch (e) {
+    throw new Error(controller.signal.aborted ? `timeout after ${timeoutMs} ms` : e.message || "network error");
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Mean absolute difference between consecutive samples
+export function jitter(samples) {
+  if (samples.length < 2) return 0;
+  let sum = 0;
+  for (let i = 1; i < samples.length; i++) sum += Math.abs(samples[i] - samples[i - 1]);
+  return sum / (samples.length - 1);
+}
+
+// Samples of different hostnames aren't compared with each other (one may
+// be cached, the other not): the mean of each hostname's own jitter.
+export function hostnameJitter(byHostname) {
+  const series = [...byHostname.values()].filter((samples) => samples.length > 1);
+  if (!series.length) return 0;
+  return series.reduce((sum, samples) => sum + jitter(samples), 0) / series.length;
+}
+
+function summarizeResolver(resolver, { samples, byHostname, attempts, errors }) {
+  const sorted = samples.slice().sort((a, b) => a - b);
+  return {
+    id: resolver.id,
+    name: resolver.name,
+    url: resolver.url,
+    format: resolver.format,
+    attempts,
+    failures: errors.length,
+    failureRate: attempts ? errors.length / attempts : 0,
+    medianMs: sorted.length ? Math.round(quantile(sorted, 0.5) * 10) / 10 : null,
+    jitterMs: Math.round(hostnameJitter(byHostname) * 10) / 10,
+    samplesMs: samples.map((ms) => Math.round(ms * 10) / 10),
+    lastError: errors.at(-1) ?? null,
+  };
+}
+
+// Runs `samples` rounds; each round queries every hostname on every resolver.
+// onProgress(done, total) is called after each query. Returns
+//   { at, trigger, hostnames, samples, resolvers: [summary], recommended }
+// where `recommended` is the id of the fastest resolver (by median) among
+// those that mostly answered, or null.
+export async function runResolverDiagnostics({
+  resolvers,
+  hostnames,
+  samples = DEFAULT_SAMPLES,
+  trigger = "manual",
+  timeoutMs = QUERY_TIMEOUT_MS,
+  fetchImpl = globalThis.fetch,
+  onProgress,
+}) {
+  const state = resolvers.map(() => ({ samples: [], byHostname: new Map(), attempts: 0, errors: [] }));
+  const total = samples * hostnames.length * resolvers.length;
+  let done = 0;
+  for (let round = 0; round < samples; round++) {
+    for (const hostname of hostnames) {
+      // Rotate the starting resolver so none always goes first
+      for (let k = 0; k < resolvers.length; k++) {
+        const i = (k + round) % resolvers.length;
+        const s = state[i];
+        s.attempts++;
+        try {
+          const { ms } = await queryOnce(resolvers[i], hostname, { fetchImpl, timeoutMs });
+          s.samples.push(ms);
+          if (!s.byHostname.has(hostname)) s.byHostname.set(hostname, []);
+          s.byHostname.get(hostname).push(ms);
+        } catch (e) {
+          s.errors.push(`${hostname}: ${e.message}`);
+        }
+        onProgress?.(++done, total);
+      }
+    }
+  }
+  const summaries = resolvers.map((r, i) => summarizeResolver(r, state[i]));
+  const candidates = summaries
+    .filter((s) => s.medianMs != null && s.failureRate <= MAX_RECOMMENDED_FAILURE_RATE)
+    .sort((a, b) => a.medianMs - b.medianMs);
+  return {
+    at: new Date().toISOString(),
+    trigger,
+    hostnames,
+    samples,
+    resolvers: summaries,
+    recommended: candidates[0]?.id ?? null,
+  };
+}
+
+export function describeResolverResult(r) {
+  if (r.medianMs == null) return `${r.name}: no answers (${r.lastError || "all queries failed"})`;
+  const failed = r.failures ? `, ${Math.round(r.failureRate * 100)}% failed` : "";
+  return `${r.name}: median ${r.medianMs} ms, jitter ${r.jitterMs} ms${failed}`;
+}
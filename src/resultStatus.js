@@ -0,0 +1,72 @@
+// ---------- Per-site result status ----------
+// Every site result carries a `status`. Failed results keep the site and the
+// reason but no measurements (metrics are null), and are left out of scoring,
+// averages and comparisons. `measured` statuses have measurements and are
+// scored; "unverified" ones are flagged where they are shown. Results saved
+// before statuses existed have no `status` and count as "ok".
+export const RESULT_STATUSES = [
+  { id: "ok", label: "OK", description: "Measured normally.", measured: true },
+  {
+    id: "unverified",
+    label: "Framing unverified",
+    description:
+      "Measured, but the site's framing headers weren't readable cross-origin. If it refuses frames, the timings are of the browser's error page.",
+    measured: true,
+  },
+  {
+    id: "timeout",
+    label: "Timed out",
+    description: "The page did not load within 15 s, or the runner stopped responding.",
+  },
+  {
+    id: "blocked-popup",
+    label: "Popup blocked",
+    description: "The browser blocked the runner window. Allow popups or use embedded frames.",
+  },
+  {
+    id: "frame-refused",
+    label: "Refuses framing",
+    description: "The site forbids being shown in a frame (X-Frame-Options or CSP frame-ancestors).",
+  },
+  {
+    id: "network-error",
+    label: "Network error",
+    description: "The site could not be reached (DNS, connection or TLS failure).",
+  },
+  {
+    id: "runner-error",
+    label: "Runner error",
+    description: "The runner crashed or one of its measurements threw, so nothing was measured.",
+  },
+];
+
+export const STATUS_IDS = RESULT_STATUSES.map((s) => s.id);
+
+export function isFailed(r) {
+  return r.status != null && !RESULT_STATUSES.find((s) => s.id === r.status)?.measured;
+}
+
+export function statusLabel(id) {
+  return RESULT_STATUSES.find((s) => s.id === id)?.label ?? id;
+}
+
+// A failed result as the dashboard records it (e.g. for a blocked popup, where
+// no runner ever started).
+export function failedResult({ index, site, status, statusDetail, trials, warmup, workloads }) {
+  return {
+    index,
+    site,
+    status,
+    statusDetail,
+    trials,
+    warmup,
+    workloads,
+    samples: [],
+    loadTime: null,
+    cpuTime: null,
+    networkLatency: null,
+    memoryUsage: null,
+    memorySource: "unavailable",
+    timingApproximate: true,
+  };
+}
@@ -0,0 +1,44 @@
+// ---------- Run queue ----------
+// A run spec is everything needed to start a run later: the exact sites
+// (already selected), how they were selected, and the trial settings at the
+// time it was queued. Queue helpers are pure and return new arrays.
+
+let nextKey = 1;
+
+// meta: { seed, selectionMode, sampleSize, siteGroup?, rerunOf? }
+// options: { trials, warmup, statistic, workloads, strategy, throughput }
+//   throughput: { endpoint, upload } or null (stage off)
+// siteSettings: url -> { label, timeoutMs, thresholds } (siteGroups.js)
+export function makeRunSpec({ sites, meta, options, siteSettings = {} }) {
+  return {
+    key: nextKey++,
+    sites: [...sites],
+    meta: { ...meta },
+    options: { ...options },
+    siteSettings: { ...siteSettings },
+  };
+}
+
+export function describeRunSpec(spec) {
+  const n = spec.sites.length;
+  const sites = `${n} site${n === 1 ? "" : "s"}`;
+  const group = spec.meta.siteGroup ? `${spec.meta.siteGroup}: ` : "";
+  if (spec.meta.selectionMode === "all") return `${group}Full suite (${sites})`;
+  if (spec.meta.selectionMode === "rerun-failed") return `Re-run of ${sites} that failed`;
+  return `${group}${sites} · seed ${spec.meta.seed}`;
+}
+
+export function removeFromQueue(queue, key) {
+  return queue.filter((spec) => spec.key !== key);
+}
+
+// Moves the spec `delta` places (negative = towards the front).
+export function moveInQueue(queue, key, delta) {
+  const from = queue.findIndex((spec) => spec.key === key);
+  const to = from + delta;
+  if (from < 0 || to < 0 || to >= queue.length) return queue;
+  const next = [...queue];
+  const [spec] = next.splice(from, 1);
+  next.splice(to, 0, spec);
+  return next;
+}
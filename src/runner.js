@@ -0,0 +1,81 @@
+// ---------- Runner modes ----------
+// "popup":    one window.open() per site; the runner closes itself when done.
+// "embedded": one sandboxed <iframe> per site inside a host element owned by the dashboard.
+// Both load /benchmark.html and report back with the messages in protocol.js.
+// openRunner() returns a handle: { mode, isSource(source), focus(), close() }.
+export const RUNNER_MODES = [
+  { id: "popup", label: "Popup windows" },
+  { id: "embedded", label: "Embedded frames" },
+];
+
+// `options` become extra query parameters (e.g. trials, warmup). The run's
+// nonce goes in the hash: it is not sent to the server or kept in Referer
+// headers, and the runner removes it from its URL once read.
+export function runnerUrl(site, runId, index, options = {}, nonce = "") {
+  const params = new URLSearchParams({ site, runId: String(runId), index: String(index) });
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined && value !== null) params.set(key, String(value));
+  }
+  const hash = nonce ? `#${new URLSearchParams({ nonce })}` : "";
+  return `/benchmark.html?${params}${hash}`;
+}
+
+function openPopup(url) {
+  const win = window.open(url, "_blank", "width=420,height=420");
+  return {
+    mode: "popup",
+    window: win,
+    isSource: (source) => !!win && source === win,
+    focus: () => {
+      if (win && !win.closed) win.focus();
+    },
+    close: () => {
+      if (win && !win.closed) win.close();
+    },
+  };
+}
+
+function openFrame(url, host) {
+  const frame = document.createElement("iframe");
+  frame.src = url;
+  frame.title = "Benchmark runner";
+  // The sandbox is not a security boundary: scripts plus same-origin on a
+  // page from our own origin could simply remove it. It only withholds
+  // popups, top navigation and forms from the frame. allow-same-origin is
+  // needed because the runner works as this origin: without it the frame's
+  // origin is opaque, so its messages arrive from "null" and are dropped by
+  // validateMessage, it can't start /cpu-worker.js, and it can't look into
+  // same-origin site frames. The nonce-checked messages are what keep other
+  // pages out.
+  frame.setAttribute("sandbox", "allow-scripts allow-same-origin");
+  frame.className = "w-full h-56 rounded border border-gray-700 bg-white";
+  host.appendChild(frame);
+  return {
+    mode: "embedded",
+    frame,
+    isSource: (source) => !!source && source === frame.contentWindow,
+    focus: () => {
+      frame.scrollIntoView({ behavior: "smooth", block: "center" });
+      frame.focus();
+    },
+    close: () => frame.remove(),
+  };
+}
+
+// Browsers only open a popup shortly after a click, and one per click. The
+// scheduler opens runners from timers and message handlers, so a run only
+// gets a popup window when it has a single site and starts from a click;
+// any other run uses embedded frames.
+export function runnerModeFor(mode, siteCount) {
+  if (mode !== "popup") return mode;
+  const activation = globalThis.navigator?.userActivation;
+  return siteCount === 1 && (!activation || activation.isActive) ? "popup" : "embedded";
+}
+
+export function openRunner(mode, url, host) {
+  if (mode === "embedded") {
+    if (!host) throw new Error("Embedded runner mode needs a host element.");
+    return openFrame(url, host);
+  }
+  return openPopup(url);
+}
@@ -0,0 +1,100 @@
+// ---------- Execution strategies ----------
+// How the sites of one run are started:
+//   "sequential":  one site at a time.
+//   "concurrent":  at most `concurrency` sites at a time.
+//   "staggered":   a new site every `delayMs`, however many are still running.
+// In every mode, `cooldownMs` must pass after a site finishes before the next
+// one starts, so the machine can settle. Runs from before strategies existed
+// opened every site at once ("all-at-once").
+
+export const EXECUTION_STRATEGIES = [
+  { id: "sequential", label: "Sequential" },
+  { id: "concurrent", label: "Bounded concurrency" },
+  { id: "staggered", label: "Staggered starts" },
+];
+
+export const DEFAULT_STRATEGY = { mode: "sequential", concurrency: 2, delayMs: 2000, cooldownMs: 500 };
+
+export const LEGACY_STRATEGY = { mode: "all-at-once" };
+
+// Only the fields the mode uses, so equal strategies compare equal.
+export function normalizeStrategy(strategy) {
+  const s = strategy || LEGACY_STRATEGY;
+  const cooldownMs = Math.max(0, Number(s.cooldownMs) || 0);
+  if (s.mode === "concurrent") return { mode: s.mode, concurrency: Math.max(1, Math.round(s.concurrency) || 1), cooldownMs };
+  if (s.mode === "staggered") return { mode: s.mode, delayMs: Math.max(0, Number(s.delayMs) || 0), cooldownMs };
+  if (s.mode === "sequential") return { mode: s.mode, cooldownMs };
+  return LEGACY_STRATEGY;
+}
+
+// Short label; also used as the like-for-like grouping key.
+export function describeStrategy(strategy) {
+  const s = normalizeStrategy(strategy);
+  const cooldown = s.cooldownMs ? `, ${s.cooldownMs / 1000} s cooldown` : "";
+  if (s.mode === "sequential") return `Sequential${cooldown}`;
+  if (s.mode === "concurrent") return `Concurrent ×${s.concurrency}${cooldown}`;
+  if (s.mode === "staggered") return `Staggered ${s.delayMs / 1000} s apart${cooldown}`;
+  return "All at once";
+}
+
+// ---------- Scheduler ----------
+// Starts site indexes 0..count-1 through `launch(index)` according to the
+// strategy. The caller reports every finished site with `finished(index)`,
+// whether it succeeded or failed.
+export function createScheduler(strategy, count, launch) {
+  const s = normalizeStrategy(strategy);
+  const limit = s.mode === "sequential" ? 1 : s.mode === "concurrent" ? s.concurrency : Infinity;
+  const pending = Array.from({ length: count }, (_, i) => i);
+  const active = new Set();
+  let lastStart = -Infinity;
+  let lastFinish = -Infinity;
+  let timer = null;
+  let stopped = false;
+
+  function pump() {
+    clearTimeout(timer);
+    timer = null;
+    while (!stopped && pending.length && active.size < limit) {
+      const now = Date.now();
+      const wait = Math.max(
+        s.mode === "staggered" ? lastStart + s.delayMs - now : 0,
+        lastFinish + (s.cooldownMs || 0) - now
+      );
+      if (wait > 0) {
+        timer = setTimeout(pump, wait);
+        return;
+      }
+      const index = pending.shift();
+      active.add(index);
+      lastStart = now;
+      launch(index);
+    }
+  }
+
+  // Deferred so a launch that fails synchronously can't re-enter pump()
+  function schedule() {
+    if (stopped) return;
+    clearTimeout(timer);
+    timer = setTimeout(pump, 0);
+  }
+
+  return {
+    start: schedule,
+    finished(index) {
+      if (!active.delete(index)) return;
+      lastFinish = Date.now();
+      schedule();
+    },
+    // Puts a site back at the front of the line (per-site retry)
+    retry(index) {
+      if (active.has(index) || pending.includes(index)) return;
+      pending.unshift(index);
+      schedule();
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+    isPending: (index) => pending.includes(index),
+  };
+}
@@ -0,0 +1,198 @@
+// ---------- Scoring profiles ----------
+// A profile bundles per-metric weights, thresholds (amber highlighting and
+// the scale for the non-linear normalizations) and a normalization strategy.
+// Runs store a copy of the profile they were scored with, so history can be
+// re-scored under any other profile later. Failed site results (see
+// resultStatus.js) have no score and don't count towards averages.
+//
+// Throughput speeds are better when higher. They are scored through the
+// cost t²/v, which equals the threshold t at v = t and grows as the link gets
+// slower, so every normalization treats them like the lower-is-better
+// metrics. Throughput metrics are only measured when the run has a
+// throughput endpoint; like memory outside Chromium they are then left out.
+// They carry a fifth of the Default profile's weight, and the other four
+// metrics keep their 4:3:2:1 split of the rest, so a run without an endpoint
+// scores exactly as it did before throughput existed. Their Mbps, jitter ms
+// and loss % don't compare with load times, so the linear formula counts
+// them relative to their threshold (1000 at t) instead of raw.
+//
+// The scored metrics, their default thresholds and Default-profile weights
+// come from the metric registry (metrics/).
+import { isFailed } from "./resultStatus.js";
+import { SCORED_METRICS } from "./metrics/index.js";
+
+export { SCORED_METRICS };
+
+export const NORMALIZATIONS = [
+  {
+    id: "linear",
+    label: "Linear",
+    description: "1000 − weighted sum of raw values, clamped at 0 (the original formula)",
+  },
+  {
+    id: "ratio",
+    label: "Threshold ratio",
+    description: "Each metric scores 1000·t/(t+v): 500 at its threshold, never reaching 0",
+  },
+  {
+    id: "exponential",
+    label: "Exponential decay",
+    description: "Each metric scores 1000·2^(−v/t): halves every threshold's worth",
+  },
+];
+
+const METRIC_THRESHOLDS = Object.fromEntries(SCORED_METRICS.map((m) => [m.key, m.threshold]));
+
+// Builtin profiles list the weights they use and the thresholds they change
+function builtinProfile({ weights, thresholds = {}, ...profile }) {
+  return {
+    ...profile,
+    weights: Object.fromEntries(SCORED_METRICS.map((m) => [m.key, weights[m.key] ?? 0])),
+    thresholds: { ...METRIC_THRESHOLDS, ...thresholds },
+  };
+}
+
+export const BUILTIN_PROFILES = [
+  builtinProfile({
+    id: "default",
+    name: "Default",
+    normalization: "linear",
+    weights: Object.fromEntries(SCORED_METRICS.map((m) => [m.key, m.weight])),
+  }),
+  builtinProfile({
+    id: "latency-focused",
+    name: "Latency-focused",
+    normalization: "ratio",
+    weights: { loadTime: 0.45, cpuTime: 0.1, networkLatency: 0.4, memoryUsage: 0.05 },
+    thresholds: { loadTime: 800, cpuTime: 1000, networkLatency: 200, memoryUsage: 500, latencyJitter: 20 },
+  }),
+  builtinProfile({
+    id: "compute-focused",
+    name: "Compute-focused",
+    normalization: "exponential",
+    weights: { loadTime: 0.15, cpuTime: 0.6, networkLatency: 0.05, memoryUsage: 0.2 },
+    thresholds: { loadTime: 1500, cpuTime: 600, networkLatency: 800, memoryUsage: 300 },
+  }),
+  builtinProfile({
+    id: "network-focused",
+    name: "Network-focused",
+    normalization: "ratio",
+    weights: {
+      loadTime: 0.2,
+      cpuTime: 0.05,
+      networkLatency: 0.15,
+      downloadMbps: 0.25,
+      uploadMbps: 0.1,
+      latencyJitter: 0.15,
+      transferLoss: 0.1,
+    },
+    thresholds: { networkLatency: 300, downloadMbps: 50, uploadMbps: 20, latencyJitter: 20, transferLoss: 2 },
+  }),
+];
+
+function isNum(v) {
+  return typeof v === "number" && isFinite(v);
+}
+
+// What a value costs under threshold t (see the top of the file)
+function cost(metric, v, t) {
+  return metric.better === "higher" ? (t * t) / Math.max(v, 1e-3) : v;
+}
+
+function linearCost(metric, v, t) {
+  return metric.linearRelative ? (1000 * v) / t : v;
+}
+
+const perMetric = {
+  ratio: (v, t) => (1000 * t) / (t + Math.max(0, v)),
+  exponential: (v, t) => 1000 * Math.pow(2, -Math.max(0, v) / t),
+};
+
+// Unavailable metrics (null, e.g. memory outside Chromium) are left out and
+// the remaining weights scaled up, so a missing value never scores as 0 ms.
+export function scoreResult(r, profile) {
+  if (isFailed(r)) return null;
+  let acc = 0;
+  let usedWeight = 0;
+  let totalWeight = 0;
+  for (const metric of SCORED_METRICS) {
+    const { key } = metric;
+    const w = profile.weights[key] || 0;
+    totalWeight += w;
+    if (!w || !isNum(r[key])) continue;
+    const t = profile.thresholds[key] ?? metric.threshold;
+    const v = cost(metric, r[key], t);
+    acc += profile.normalization === "linear" ? w * linearCost(metric, v, t) : w * perMetric[profile.normalization](v, t);
+    usedWeight += w;
+  }
+  if (!usedWeight) return 0;
+  if (profile.normalization === "linear") {
+    return Math.max(0, Math.round(1000 - acc * (totalWeight / usedWeight)));
+  }
+  return Math.round(acc / usedWeight);
+}
+
+export function averageScore(results, profile) {
+  const scored = results.filter((r) => !isFailed(r));
+  if (!scored.length) return 0;
+  return Math.round(scored.reduce((acc, r) => acc + scoreResult(r, profile), 0) / scored.length);
+}
+
+// Per-metric "worse than threshold" flags for amber highlighting
+export function thresholdWarnings(r, thresholds) {
+  const warn = {};
+  for (const { key, better } of SCORED_METRICS) {
+    warn[key] =
+      isNum(r[key]) && isNum(thresholds[key]) && (better === "higher" ? r[key] < thresholds[key] : r[key] > thresholds[key]);
+  }
+  return warn;
+}
+
+// "Load > 1000 ms", "Download < 25 Mbps": when a value gets highlighted
+export function describeThreshold(metric, threshold) {
+  return `${metric.label} ${metric.better === "higher" ? "<" : ">"} ${threshold} ${metric.unit}`;
+}
+
+// Human-readable formula for the Legend panel
+export function describeProfile(profile) {
+  const terms = SCORED_METRICS.filter(({ key }) => profile.weights[key]).map(
+    ({ key, label }) => `${profile.weights[key]}×${label}`
+  );
+  if (profile.normalization === "linear") return `1000 − (${terms.join(" + ")})`;
+  const fn = profile.normalization === "ratio" ? "1000·t/(t+v)" : "1000·2^(−v/t)";
+  return `weighted mean of ${fn} per metric, weights ${terms.join(", ")}`;
+}
+
+// Validate and normalize an imported / edited profile. Throws with a message
+// suitable for showing to the user.
+export function validateProfile(p) {
+  if (!p || typeof p !== "object") throw new Error("Profile must be an object.");
+  const id = String(p.id ?? "").trim();
+  const name = String(p.name ?? "").trim();
+  if (!id) throw new Error("Profile is missing an id.");
+  if (!name) throw new Error(`Profile "${id}" is missing a name.`);
+  if (!NORMALIZATIONS.some((n) => n.id === p.normalization)) {
+    throw new Error(`Profile "${name}" has unknown normalization "${p.normalization}".`);
+  }
+  const weights = {};
+  const thresholds = {};
+  for (const { key, label, threshold } of SCORED_METRICS) {
+    const w = Number(p.weights?.[key] ?? 0);
+    const t = Number(p.thresholds?.[key] ?? threshold);
+    if (!isFinite(w) || w < 0) throw new Error(`Profile "${name}": ${label} weight must be ≥ 0.`);
+    if (!isFinite(t) || t <= 0) throw new Error(`Profile "${name}": ${label} threshold must be > 0.`);
+    weights[key] = w;
+    thresholds[key] = t;
+  }
+  if (!Object.values(weights).some(Boolean)) {
+    throw new Error(`Profile "${name}" needs at least one non-zero weight.`);
+  }
+  return { id, name, normalization: p.normalization, weights, thresholds };
+}
+
+export function parseProfilesFile(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.profiles;
+  if (!Array.isArray(list)) throw new Error("Expected a list of profiles.");
+  return list.map(validateProfile);
+}
@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { BUILTIN_PROFILES, averageScore, scoreResult } from "./scoring.js";
+
+const [defaultProfile] = BUILTIN_PROFILES;
+const result = { site: "https://a.example", status: "ok", loadTime: 700, cpuTime: 300, networkLatency: 120, memoryUsage: 50 };
+
+function profile(normalization, weights, thresholds = defaultProfile.thresholds) {
+  const zero = Object.fromEntries(Object.keys(defaultProfile.weights).map((k) => [k, 0]));
+  return { id: "test", name: "Test", normalization, weights: { ...zero, ...weights }, thresholds };
+}
+
+describe("scoreResult", () => {
+  it("scores the original linear formula without throughput", () => {
+    // 1000 − (0.4·700 + 0.3·300 + 0.2·120 + 0.1·50)
+    const original = profile("linear", { loadTime: 0.4, cpuTime: 0.3, networkLatency: 0.2, memoryUsage: 0.1 });
+    expect(scoreResult(result, original)).toBe(601);
+    expect(scoreResult(result, defaultProfile)).toBe(601);
+  });
+
+  it("scales the remaining weights up when a metric is unavailable", () => {
+    const p = profile("linear", { loadTime: 0.5, memoryUsage: 0.5 });
+    expect(scoreResult({ ...result, memoryUsage: null }, p)).toBe(300);
+  });
+
+  it("scores 500 at the threshold with the ratio normalization", () => {
+    const p = profile("ratio", { loadTime: 1 });
+    expect(scoreResult({ ...result, loadTime: defaultProfile.thresholds.loadTime }, p)).toBe(500);
+  });
+
+  it("halves every threshold's worth with the exponential normalization", () => {
+    const p = profile("exponential", { loadTime: 1 });
+    expect(scoreResult({ ...result, loadTime: 2 * defaultProfile.thresholds.loadTime }, p)).toBe(250);
+  });
+
+  it("scores slower throughput lower", () => {
+    const fast = scoreResult({ ...result, downloadMbps: 100, uploadMbps: 40 }, defaultProfile);
+    const slow = scoreResult({ ...result, downloadMbps: 5, uploadMbps: 2 }, defaultProfile);
+    expect(fast).toBeGreaterThan(slow);
+  });
+
+  it("doesn't score failed results", () => {
+    expect(scoreResult({ site: "https://a.example", status: "timeout", loadTime: null }, defaultProfile)).toBeNull();
+    expect(averageScore([result, { site: "b", status: "network-error" }], defaultProfile)).toBe(601);
+  });
+});
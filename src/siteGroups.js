@@ -0,0 +1,173 @@
+// ---------- Site groups ----------
+// Named site lists ("news", "dev tools", "internal apps"); a run uses one
+// group. A group is edited as text, one site per line, with optional per-site
+// settings after the URL:
+//   https://example.com label="Example" timeout=20s load=1500 cpu=300
+//   label:              shown next to the URL in results
+//   timeout:            page load limit per trial (the runner's default is 15 s)
+//   load, cpu, net, mem, down, up, jitter:
+//                       thresholds for amber highlighting on this site,
+//                       overriding the scoring profile's (ms, mem in MB,
+//                       down/up in Mbps and highlighted when slower)
+// Only http(s) URLs are accepted and a URL listed twice is reported as a
+// duplicate, so typos show up while editing instead of as a timeout later.
+// Groups are stored as { id, name, text }; the export file carries the
+// parsed sites instead, so other tools can read it.
+import { SCORED_METRICS } from "./scoring.js";
+
+export const SITE_GROUPS_FORMAT = "benchmark-site-groups";
+export const SITE_GROUPS_VERSION = 1;
+
+export const DEFAULT_TIMEOUT_MS = 15000;
+const MIN_TIMEOUT_MS = 1000;
+const MAX_TIMEOUT_MS = 120000;
+
+// Per-site threshold options -> SCORED_METRICS keys (each metric's siteOption)
+export const SITE_THRESHOLD_OPTIONS = Object.fromEntries(
+  SCORED_METRICS.filter((m) => m.siteOption).map((m) => [m.siteOption, m.key])
+);
+
+const OPTION = /^(\w+)=("(?:[^"\\]|\\.)*"|\S+)$/;
+
+function parseTimeout(value) {
+  const m = /^(\d+(?:\.\d+)?)(ms|s)?$/i.exec(value);
+  if (!m) return { problem: `timeout "${value}" is not a duration (e.g. 20s or 20000ms)` };
+  const ms = Number(m[1]) * (m[2]?.toLowerCase() === "s" ? 1000 : 1);
+  if (ms < MIN_TIMEOUT_MS || ms > MAX_TIMEOUT_MS) {
+    return { problem: `timeout must be between ${MIN_TIMEOUT_MS / 1000} and ${MAX_TIMEOUT_MS / 1000} s` };
+  }
+  return { ms: Math.round(ms) };
+}
+
+// Splits on whitespace outside double quotes (also used by resolvers.js)
+export function tokenize(line) {
+  return line.match(/(?:[^\s"]+|"(?:[^"\\]|\\.)*")+/g) || [];
+}
+
+// Returns { sites, errors }. Each site is { url, label?, timeoutMs?, thresholds? };
+// errors carry the 1-based line number. Blank lines and # comments are ignored.
+export function parseSiteLines(text) {
+  const sites = [];
+  const errors = [];
+  const seen = new Map(); // normalized URL -> line
+  String(text || "")
+    .split("\n")
+    .forEach((raw, i) => {
+      const line = raw.trim();
+      if (!line || line.startsWith("#")) return;
+      const problem = (message) => errors.push({ line: i + 1, text: line, message });
+
+      const [url, ...options] = tokenize(line);
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch {
+        return problem(`"${url}" is not a URL`);
+      }
+      if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+        return problem(`only http and https URLs can be benchmarked`);
+      }
+      if (seen.has(parsed.href)) return problem(`duplicate of line ${seen.get(parsed.href)}`);
+
+      const site = { url };
+      for (const token of options) {
+        const m = OPTION.exec(token);
+        if (!m) return problem(`expected name=value, got "${token}"`);
+        const [, name, rawValue] = m;
+        const key = name.toLowerCase();
+        if (key === "label") {
+          try {
+            site.label = rawValue.startsWith('"') ? JSON.parse(rawValue) : rawValue;
+          } catch {
+            return problem(`label ${rawValue} is not a valid quoted string`);
+          }
+        } else if (key === "timeout") {
+          const t = parseTimeout(rawValue);
+          if (t.problem) return problem(t.problem);
+          site.timeoutMs = t.ms;
+        } else if (key in SITE_THRESHOLD_OPTIONS) {
+          const n = Number(rawValue);
+          if (!isFinite(n) || n <= 0) return problem(`${key} threshold must be a number > 0`);
+          site.thresholds = { ...site.thresholds, [SITE_THRESHOLD_OPTIONS[key]]: n };
+        } else {
+          return problem(`unknown setting "${name}" (use label, timeout, ${Object.keys(SITE_THRESHOLD_OPTIONS).join(", ")})`);
+        }
+      }
+      seen.set(parsed.href, i + 1);
+      sites.push(site);
+    });
+  return { sites, errors };
+}
+
+export function formatSiteLine(site) {
+  const parts = [site.url];
+  if (site.label) parts.push(`label=${JSON.stringify(site.label)}`);
+  if (site.timeoutMs) {
+    parts.push(`timeout=${site.timeoutMs % 1000 ? `${site.timeoutMs}ms` : `${site.timeoutMs / 1000}s`}`);
+  }
+  for (const [option, key] of Object.entries(SITE_THRESHOLD_OPTIONS)) {
+    if (site.thresholds?.[key] != null) parts.push(`${option}=${site.thresholds[key]}`);
+  }
+  return parts.join(" ");
+}
+
+// url -> { label, timeoutMs, thresholds } for the sites that have any
+// settings; what a run spec and run record carry.
+export function siteSettingsFor(sites) {
+  const settings = {};
+  for (const { url, ...rest } of sites) {
+    if (Object.keys(rest).length) settings[url] = rest;
+  }
+  return settings;
+}
+
+// Threshold set for one site: the profile's, overridden per site
+export function siteThresholds(profileThresholds, settings) {
+  return settings?.thresholds ? { ...profileThresholds, ...settings.thresholds } : profileThresholds;
+}
+
+export function makeGroup(name, text = "") {
+  return { id: `group-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, name, text };
+}
+
+// ---------- Import / export ----------
+export function siteGroupsToJSON(groups) {
+  return {
+    format: SITE_GROUPS_FORMAT,
+    version: SITE_GROUPS_VERSION,
+    groups: groups.map((g) => ({ id: g.id, name: g.name, sites: parseSiteLines(g.text).sites })),
+  };
+}
+
+// Accepts the export above or a bare list of groups. Sites may be URL
+// strings or site objects; every group is validated like the editor does.
+// Throws with a message suitable for showing to the user.
+export function parseSiteGroupsFile(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.groups;
+  if (!Array.isArray(list)) throw new Error("Expected a list of site groups.");
+  if (!Array.isArray(data) && data.format && data.format !== SITE_GROUPS_FORMAT) {
+    throw new Error(`Not a site groups file (format "${data.format}").`);
+  }
+  return list.map((g, i) => {
+    const name = String(g?.name ?? "").trim();
+    if (!name) throw new Error(`Group ${i + 1} is missing a name.`);
+    if (!Array.isArray(g.sites)) throw new Error(`Group "${name}" has no site list.`);
+    const body = g.sites
+      .map((s) => (typeof s === "string" ? s : formatSiteLine({ ...s, url: String(s?.url ?? "") })))
+      .join("\n");
+    const { errors } = parseSiteLines(body);
+    if (errors.length) throw new Error(`Group "${name}", site ${errors[0].line}: ${errors[0].message}.`);
+    return { id: String(g.id || makeGroup(name).id), name, text: body };
+  });
+}
+
+// Threshold option names for the editor's help text
+export function describeSiteOptions() {
+  return Object.entries(SITE_THRESHOLD_OPTIONS)
+    .map(([option, key]) => {
+      const metric = SCORED_METRICS.find((m) => m.key === key);
+      return `${option} (${metric.label}, ${metric.unit})`;
+    })
+    .join(", ");
+}
@@ -0,0 +1,98 @@
+// ---------- Sample statistics ----------
+// Helpers for summarizing repeated trial samples of one metric.
+import { METRICS } from "./metrics/index.js";
+
+export const STATISTICS = [
+  { id: "median", label: "Median" },
+  { id: "mean", label: "Mean" },
+  { id: "p95", label: "p95" },
+  { id: "trimmedMean", label: "Trimmed mean" },
+];
+
+function numeric(values) {
+  return (values || []).filter((v) => typeof v === "number" && isFinite(v));
+}
+
+// Linear interpolation between closest ranks (same as numpy's default).
+export function quantile(sorted, q) {
+  if (!sorted.length) return NaN;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+export function mean(values) {
+  const xs = numeric(values);
+  return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : NaN;
+}
+
+// Sample standard deviation (n - 1); 0 for a single sample.
+export function stdDev(values) {
+  const xs = numeric(values);
+  if (xs.length < 2) return 0;
+  const m = mean(xs);
+  return Math.sqrt(xs.reduce((acc, x) => acc + (x - m) ** 2, 0) / (xs.length - 1));
+}
+
+// Drop Tukey outliers (outside 1.5×IQR). With fewer than 4 samples the IQR is
+// meaningless, so everything is kept.
+export function trimOutliers(values) {
+  const xs = numeric(values);
+  if (xs.length < 4) return xs;
+  const sorted = [...xs].sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const fence = 1.5 * (q3 - q1);
+  return xs.filter((x) => x >= q1 - fence && x <= q3 + fence);
+}
+
+// Returns null when there is nothing numeric to summarize.
+export function summarize(values) {
+  const xs = numeric(values);
+  if (!xs.length) return null;
+  const sorted = [...xs].sort((a, b) => a - b);
+  const trimmed = trimOutliers(xs);
+  return {
+    n: xs.length,
+    mean: mean(xs),
+    median: quantile(sorted, 0.5),
+    p95: quantile(sorted, 0.95),
+    stdDev: stdDev(xs),
+    trimmedMean: mean(trimmed),
+    outliers: xs.length - trimmed.length,
+  };
+}
+
+// Replace each metric in `result` with the chosen statistic over its trial
+// samples. Results without samples (single-shot runs, older history) keep
+// their recorded values. Per-metric summaries are attached as `stats`.
+export function resolveResult(result, keys, statistic = "median") {
+  const samples = result.samples;
+  if (!samples?.length) return { ...result, stats: null };
+  const resolved = { ...result, stats: {} };
+  for (const key of keys) {
+    const summary = summarize(samples.map((s) => s[key]));
+    resolved.stats[key] = summary;
+    if (summary) resolved[key] = summary[statistic];
+  }
+  return resolved;
+}
+
+// Metrics that are sampled once per trial and aggregated by the chosen statistic
+export const SAMPLED_METRICS = METRICS.map((m) => m.key);
+
+// A runner's site result as shown and scored: every sampled metric resolved,
+// plus the nested per-workload CPU timings.
+export function resolveSiteResult(r, statistic = "median") {
+  const resolved = resolveResult(r, SAMPLED_METRICS, statistic);
+  if (r.samples?.length && r.cpuWorkloads) {
+    resolved.cpuWorkloads = Object.fromEntries(
+      Object.keys(r.cpuWorkloads).map((id) => [
+        id,
+        summarize(r.samples.map((s) => s.cpuWorkloads?.[id]))?.[statistic] ?? r.cpuWorkloads[id],
+      ])
+    );
+  }
+  return resolved;
+}
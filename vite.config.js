@@ -0,0 +1,42 @@
+import { fileURLToPath } from "node:url";
+import { defineConfig } from "vite";
+import { throughputMiddleware } from "./fixtures/throughput.js";
+
+// `vite --mode isolated` serves every page cross-origin isolated so the runner
+// can use performance.measureUserAgentSpecificMemory(). COEP "credentialless"
+// (rather than "require-corp") still lets the runner fetch and frame
+// third-party sites without CORP headers. Not the default, because browsers
+// without credentialless iframe support cannot embed those sites at all.
+const isolationHeaders = {
+  "Cross-Origin-Opener-Policy": "same-origin",
+  "Cross-Origin-Embedder-Policy": "credentialless",
+};
+
+// Payloads for the runner's throughput stage, at /__throughput
+const throughputEndpoint = {
+  name: "benchmark-throughput-endpoint",
+  configureServer(server) {
+    server.middlewares.use(throughputMiddleware);
+  },
+  configurePreviewServer(server) {
+    server.middlewares.use(throughputMiddleware);
+  },
+};
+
+export default defineConfig(({ mode }) => {
+  const headers = mode === "isolated" ? isolationHeaders : {};
+  return {
+    plugins: [throughputEndpoint],
+    // The runner page is its own entry: it imports the metric registry
+    build: {
+      rollupOptions: {
+        input: {
+          main: fileURLToPath(new URL("./index.html", import.meta.url)),
+          benchmark: fileURLToPath(new URL("./benchmark.html", import.meta.url)),
+        },
+      },
+    },
+    server: { headers },
+    preview: { headers },
+  };
+});